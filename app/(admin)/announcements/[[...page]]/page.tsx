@@ -0,0 +1,39 @@
+'use client'
+
+import AnnouncementsPreview from '@/components/AnnouncementsPreview'
+import { useContentRegistry } from '@/components/ContentRegistryProvider'
+import { confirmLeave } from '@/components/useUnsavedChangesWarning'
+import { announcementHref, findAnnouncementPage, parseViewMode, type ViewMode } from '@/lib/content/navigation'
+import { notFound, useRouter } from 'next/navigation'
+import React from 'react'
+
+interface AnnouncementsRouteProps {
+  params: Promise<{ page?: string[] }>
+  searchParams: Promise<{ view?: string }>
+}
+
+export default function AnnouncementsRoute({ params, searchParams }: AnnouncementsRouteProps) {
+  const { page: segments } = React.use(params)
+  const { view } = React.use(searchParams)
+  const router = useRouter()
+  const { registry } = useContentRegistry()
+
+  if (!registry) return null
+  if (segments && segments.length > 1) notFound()
+
+  const page = findAnnouncementPage(registry, segments?.[0])
+  if (!page) notFound()
+
+  return (
+    <AnnouncementsPreview
+      key={page.id}
+      path={page.path}
+      title={page.title}
+      description={page.description}
+      viewMode={parseViewMode(view)}
+      onViewModeChange={(mode: ViewMode) => {
+        if (confirmLeave()) router.push(announcementHref(page, mode))
+      }}
+    />
+  )
+}
@@ -0,0 +1,5 @@
+import FindReplace from '@/components/FindReplace'
+
+export default function FindReplaceRoute() {
+  return <FindReplace />
+}
@@ -0,0 +1,6 @@
+import AppLayout from '@/components/AppLayout'
+import type { PropsWithChildren } from 'react'
+
+export default function AdminLayout({ children }: PropsWithChildren) {
+  return <AppLayout>{children}</AppLayout>
+}
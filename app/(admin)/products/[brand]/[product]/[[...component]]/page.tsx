@@ -0,0 +1,5 @@
+// The product preview lives in the parent layout so it stays mounted (and keeps its
+// loaded content) while the component segment changes.
+export default function ProductComponentRoute() {
+  return null
+}
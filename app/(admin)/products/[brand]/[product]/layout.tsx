@@ -0,0 +1,47 @@
+'use client'
+
+import { useContentRegistry } from '@/components/ContentRegistryProvider'
+import ProductPreviewInline from '@/components/ProductPreviewInline'
+import { confirmLeave } from '@/components/useUnsavedChangesWarning'
+import { findProduct, parseViewMode, productHref, type ViewMode } from '@/lib/content/navigation'
+import { notFound, useRouter, useSearchParams, useSelectedLayoutSegments } from 'next/navigation'
+import React, { type PropsWithChildren } from 'react'
+
+interface ProductLayoutProps extends PropsWithChildren {
+  params: Promise<{ brand: string; product: string }>
+}
+
+export default function ProductLayout({ children, params }: ProductLayoutProps) {
+  const { brand, product: productId } = React.use(params)
+  const [componentId = null, ...extraSegments] = useSelectedLayoutSegments()
+  const searchParams = useSearchParams()
+  const viewMode = parseViewMode(searchParams.get('view'))
+  const router = useRouter()
+  const { registry } = useContentRegistry()
+
+  if (!registry) return null
+
+  const product = findProduct(registry, brand, productId)
+  if (!product) notFound()
+  if (extraSegments.length > 0) notFound()
+  if (componentId && !product.components.some((c) => c.id === componentId)) notFound()
+
+  return (
+    <>
+      <ProductPreviewInline
+        key={`${brand}/${productId}`}
+        product={product}
+        title={product.displayName}
+        description={product.description}
+        expandedComponentId={componentId}
+        expandedViewMode={viewMode}
+        editOnOpen={searchParams.get('edit') === '1'}
+        onNavigate={(nextComponentId: string | null, view?: ViewMode) => {
+          // Such as collapsing the component being edited
+          if (confirmLeave()) router.push(productHref(product, nextComponentId, view))
+        }}
+      />
+      {children}
+    </>
+  )
+}
@@ -0,0 +1,5 @@
+import SpecComparison from '@/components/SpecComparison'
+
+export default function SpecComparisonRoute() {
+  return <SpecComparison />
+}
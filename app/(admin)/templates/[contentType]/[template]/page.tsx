@@ -0,0 +1,23 @@
+'use client'
+
+import { useContentRegistry } from '@/components/ContentRegistryProvider'
+import TemplateFiller from '@/components/TemplateFiller'
+import { findTemplate } from '@/lib/content/navigation'
+import { notFound } from 'next/navigation'
+import React from 'react'
+
+interface TemplateRouteProps {
+  params: Promise<{ contentType: string; template: string }>
+}
+
+export default function TemplateRoute({ params }: TemplateRouteProps) {
+  const { contentType, template: templateId } = React.use(params)
+  const { registry } = useContentRegistry()
+
+  if (!registry) return null
+
+  const template = findTemplate(registry, contentType, templateId)
+  if (!template) notFound()
+
+  return <TemplateFiller key={template.path} template={template} />
+}
@@ -0,0 +1,45 @@
+import { contentErrorResponse } from '@/lib/api/errors'
+import { jsonError, jsonSuccess } from '@/lib/api/responses'
+import { readCopyStatus, recordCopy } from '@/lib/content/copies'
+import type { NextRequest } from 'next/server'
+
+export const dynamic = 'force-dynamic'
+
+// ?path=a&path=b returns the last copy of each file by path, or null for files never copied
+export async function GET(request: NextRequest) {
+  const paths = request.nextUrl.searchParams.getAll('path')
+  try {
+    const statuses = await Promise.all(paths.map(async (p) => [p, await readCopyStatus(p)] as const))
+    return jsonSuccess(Object.fromEntries(statuses))
+  } catch (err) {
+    return contentErrorResponse(err, 'Failed to read copy records')
+  }
+}
+
+interface RecordCopyRequest {
+  path: unknown
+  content: unknown
+  sourceVersion: unknown
+}
+
+export async function POST(request: NextRequest) {
+  let body: RecordCopyRequest
+  try {
+    body = await request.json()
+  } catch {
+    return jsonError(400, 'INVALID_JSON', 'Request body must be JSON')
+  }
+
+  if (typeof body.content !== 'string') {
+    return jsonError(422, 'INVALID_CONTENT', '"content" must be a string')
+  }
+  if (typeof body.sourceVersion !== 'string') {
+    return jsonError(422, 'INVALID_BASE_VERSION', '"sourceVersion" must be a string')
+  }
+
+  try {
+    return jsonSuccess(await recordCopy(body.path, body.content, body.sourceVersion), 201)
+  } catch (err) {
+    return contentErrorResponse(err, 'Failed to record copy')
+  }
+}
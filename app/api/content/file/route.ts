@@ -0,0 +1,47 @@
+import { contentErrorResponse } from '@/lib/api/errors'
+import { jsonError, jsonSuccess } from '@/lib/api/responses'
+import { readContentFile, writeContentFile } from '@/lib/content/store'
+import type { NextRequest } from 'next/server'
+
+export const dynamic = 'force-dynamic'
+
+export async function GET(request: NextRequest) {
+  try {
+    return jsonSuccess(await readContentFile(request.nextUrl.searchParams.get('path')))
+  } catch (err) {
+    return contentErrorResponse(err, 'Failed to read content file')
+  }
+}
+
+interface SaveRequest {
+  path: unknown
+  content: unknown
+  baseVersion: unknown
+  overwrite?: unknown
+}
+
+export async function PUT(request: NextRequest) {
+  let body: SaveRequest
+  try {
+    body = await request.json()
+  } catch {
+    return jsonError(400, 'INVALID_JSON', 'Request body must be JSON')
+  }
+
+  if (typeof body.content !== 'string') {
+    return jsonError(422, 'INVALID_CONTENT', '"content" must be a string')
+  }
+  if (body.baseVersion !== null && typeof body.baseVersion !== 'string') {
+    return jsonError(422, 'INVALID_BASE_VERSION', '"baseVersion" must be a string or null')
+  }
+
+  try {
+    const saved = await writeContentFile(body.path, body.content, {
+      baseVersion: body.baseVersion,
+      overwrite: body.overwrite === true,
+    })
+    return jsonSuccess(saved)
+  } catch (err) {
+    return contentErrorResponse(err, 'Failed to save content file')
+  }
+}
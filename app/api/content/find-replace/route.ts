@@ -0,0 +1,84 @@
+import { contentErrorResponse } from '@/lib/api/errors'
+import { jsonError, jsonSuccess } from '@/lib/api/responses'
+import { FindPatternError, type FindOptions, type ReplaceSelection } from '@/lib/content/findReplace'
+import { findInSnippets, replaceInSnippets } from '@/lib/content/snippets'
+import type { NextRequest } from 'next/server'
+
+export const dynamic = 'force-dynamic'
+
+function findOptions(params: URLSearchParams): FindOptions {
+  return {
+    query: params.get('query') ?? '',
+    regex: params.get('regex') === '1',
+    caseSensitive: params.get('caseSensitive') === '1',
+    textOnly: params.get('textOnly') === '1',
+  }
+}
+
+// ?query=...&replacement=... with regex, caseSensitive and textOnly flags set to 1 lists the
+// matches in every snippet, each with the text it would be replaced by
+export async function GET(request: NextRequest) {
+  const { searchParams } = request.nextUrl
+  const options = findOptions(searchParams)
+  if (!options.query) return jsonError(422, 'INVALID_QUERY', '"query" must not be empty')
+
+  try {
+    return jsonSuccess(await findInSnippets(options, searchParams.get('replacement') ?? ''))
+  } catch (err) {
+    if (err instanceof FindPatternError) return jsonError(422, 'INVALID_PATTERN', err.message)
+    return contentErrorResponse(err, 'Failed to search snippets')
+  }
+}
+
+interface ReplaceRequest {
+  query: unknown
+  regex?: unknown
+  caseSensitive?: unknown
+  textOnly?: unknown
+  replacement: unknown
+  selections: unknown
+}
+
+function isSelection(value: unknown): value is ReplaceSelection {
+  const selection = value as ReplaceSelection | null
+  return (
+    typeof selection === 'object' &&
+    selection !== null &&
+    typeof selection.path === 'string' &&
+    typeof selection.version === 'string' &&
+    Array.isArray(selection.indexes) &&
+    selection.indexes.every((index) => Number.isInteger(index))
+  )
+}
+
+export async function POST(request: NextRequest) {
+  let body: ReplaceRequest
+  try {
+    body = await request.json()
+  } catch {
+    return jsonError(400, 'INVALID_JSON', 'Request body must be JSON')
+  }
+
+  if (typeof body.query !== 'string' || !body.query) {
+    return jsonError(422, 'INVALID_QUERY', '"query" must be a non-empty string')
+  }
+  if (typeof body.replacement !== 'string') {
+    return jsonError(422, 'INVALID_REPLACEMENT', '"replacement" must be a string')
+  }
+  if (!Array.isArray(body.selections) || !body.selections.every(isSelection)) {
+    return jsonError(422, 'INVALID_SELECTIONS', '"selections" must be a list of { path, version, indexes }')
+  }
+
+  const options: FindOptions = {
+    query: body.query,
+    regex: body.regex === true,
+    caseSensitive: body.caseSensitive === true,
+    textOnly: body.textOnly === true,
+  }
+  try {
+    return jsonSuccess(await replaceInSnippets(options, body.replacement, body.selections))
+  } catch (err) {
+    if (err instanceof FindPatternError) return jsonError(422, 'INVALID_PATTERN', err.message)
+    return contentErrorResponse(err, 'Failed to replace in snippets')
+  }
+}
@@ -0,0 +1,23 @@
+import { contentErrorResponse } from '@/lib/api/errors'
+import { jsonError, jsonSuccess } from '@/lib/api/responses'
+import { listHistory, readSnapshot } from '@/lib/content/history'
+import { resolveContentPath } from '@/lib/content/store'
+import type { NextRequest } from 'next/server'
+
+export const dynamic = 'force-dynamic'
+
+// ?path=... lists a file's versions; adding &id=... returns one of them with its content
+export async function GET(request: NextRequest) {
+  const { searchParams } = request.nextUrl
+  try {
+    const resolved = resolveContentPath(searchParams.get('path'))
+    const id = searchParams.get('id')
+    if (id === null) return jsonSuccess(await listHistory(resolved))
+
+    const snapshot = await readSnapshot(resolved, id)
+    if (!snapshot) return jsonError(404, 'VERSION_NOT_FOUND', `No version ${id} of ${resolved.publicPath}`)
+    return jsonSuccess(snapshot)
+  } catch (err) {
+    return contentErrorResponse(err, 'Failed to read content history')
+  }
+}
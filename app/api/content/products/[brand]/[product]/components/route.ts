@@ -0,0 +1,44 @@
+import { contentErrorResponse } from '@/lib/api/errors'
+import { jsonError, jsonSuccess } from '@/lib/api/responses'
+import { addProductComponent } from '@/lib/content/products'
+import type { NextRequest } from 'next/server'
+
+export const dynamic = 'force-dynamic'
+
+interface RouteContext {
+  params: Promise<{ brand: string; product: string }>
+}
+
+interface AddComponentRequest {
+  id: unknown
+  label: unknown
+  content: unknown
+}
+
+export async function POST(request: NextRequest, { params }: RouteContext) {
+  let body: AddComponentRequest
+  try {
+    body = await request.json()
+  } catch {
+    return jsonError(400, 'INVALID_JSON', 'Request body must be JSON')
+  }
+
+  if (typeof body.id !== 'string' || typeof body.label !== 'string') {
+    return jsonError(422, 'INVALID_COMPONENT', '"id" and "label" must be strings')
+  }
+  if (typeof body.content !== 'string') {
+    return jsonError(422, 'INVALID_CONTENT', '"content" must be a string')
+  }
+
+  const { brand, product } = await params
+  try {
+    const component = await addProductComponent(brand, product, {
+      id: body.id,
+      label: body.label,
+      content: body.content,
+    })
+    return jsonSuccess(component, 201)
+  } catch (err) {
+    return contentErrorResponse(err, 'Failed to add product component')
+  }
+}
@@ -0,0 +1,21 @@
+import { contentErrorResponse } from '@/lib/api/errors'
+import { fileResponse } from '@/lib/api/responses'
+import { productShopifyArchive } from '@/lib/content/shopifyExport'
+import type { NextRequest } from 'next/server'
+
+export const dynamic = 'force-dynamic'
+
+interface RouteContext {
+  params: Promise<{ brand: string; product: string }>
+}
+
+// The product's components as Shopify theme sections and metafield JSON, zipped
+export async function GET(_request: NextRequest, { params }: RouteContext) {
+  const { brand, product } = await params
+  try {
+    const archive = await productShopifyArchive(brand, product)
+    return fileResponse(archive.data, archive.fileName, 'application/zip')
+  } catch (err) {
+    return contentErrorResponse(err, 'Failed to export product for Shopify')
+  }
+}
@@ -0,0 +1,55 @@
+import { contentErrorResponse } from '@/lib/api/errors'
+import { jsonError, jsonSuccess } from '@/lib/api/responses'
+import { createProduct } from '@/lib/content/products'
+import type { NextRequest } from 'next/server'
+
+export const dynamic = 'force-dynamic'
+
+interface CreateProductRequest {
+  brandName: unknown
+  brand?: unknown
+  productName: unknown
+  slug?: unknown
+  description?: unknown
+  seed?: unknown
+}
+
+export async function POST(request: NextRequest) {
+  let body: CreateProductRequest
+  try {
+    body = await request.json()
+  } catch {
+    return jsonError(400, 'INVALID_JSON', 'Request body must be JSON')
+  }
+
+  if (typeof body.brandName !== 'string' || typeof body.productName !== 'string') {
+    return jsonError(422, 'INVALID_PRODUCT', '"brandName" and "productName" must be strings')
+  }
+  if (body.brand !== undefined && typeof body.brand !== 'string') {
+    return jsonError(422, 'INVALID_PRODUCT', '"brand" must be a string')
+  }
+  if (body.slug !== undefined && typeof body.slug !== 'string') {
+    return jsonError(422, 'INVALID_PRODUCT', '"slug" must be a string')
+  }
+  if (body.description !== undefined && typeof body.description !== 'string') {
+    return jsonError(422, 'INVALID_PRODUCT', '"description" must be a string')
+  }
+  const seed = body.seed as { brand?: unknown; product?: unknown } | null | undefined
+  if (seed != null && (typeof seed !== 'object' || typeof seed.brand !== 'string' || typeof seed.product !== 'string')) {
+    return jsonError(422, 'INVALID_SEED', '"seed" must be null or { brand, product }')
+  }
+
+  try {
+    const product = await createProduct({
+      brandName: body.brandName,
+      brand: body.brand,
+      productName: body.productName,
+      slug: body.slug,
+      description: body.description ?? '',
+      seed: seed ? { brand: seed.brand as string, product: seed.product as string } : null,
+    })
+    return jsonSuccess(product, 201)
+  } catch (err) {
+    return contentErrorResponse(err, 'Failed to create product')
+  }
+}
@@ -0,0 +1,15 @@
+import { jsonError, jsonSuccess } from '@/lib/api/responses'
+import { loadContentRegistry } from '@/lib/content/registry'
+
+export const dynamic = 'force-dynamic'
+
+export async function GET() {
+  try {
+    return jsonSuccess(await loadContentRegistry())
+  } catch (err) {
+    console.error('Content registry scan failed:', err)
+    return jsonError(500, 'CONTENT_REGISTRY_FAILED', 'Failed to scan content-types', {
+      details: err instanceof Error ? err.message : undefined,
+    })
+  }
+}
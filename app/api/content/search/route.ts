@@ -0,0 +1,14 @@
+import { contentErrorResponse } from '@/lib/api/errors'
+import { jsonSuccess } from '@/lib/api/responses'
+import { loadSearchIndex } from '@/lib/content/searchIndex'
+
+export const dynamic = 'force-dynamic'
+
+// The sidebar search index: the text of every product component and announcement section
+export async function GET() {
+  try {
+    return jsonSuccess(await loadSearchIndex())
+  } catch (err) {
+    return contentErrorResponse(err, 'Failed to build the search index')
+  }
+}
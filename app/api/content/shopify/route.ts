@@ -0,0 +1,15 @@
+import { contentErrorResponse } from '@/lib/api/errors'
+import { fileResponse } from '@/lib/api/responses'
+import { shopifyBundleArchive } from '@/lib/content/shopifyExport'
+
+export const dynamic = 'force-dynamic'
+
+// Every product's Shopify theme sections and metafield JSON in one zip
+export async function GET() {
+  try {
+    const archive = await shopifyBundleArchive()
+    return fileResponse(archive.data, archive.fileName, 'application/zip')
+  } catch (err) {
+    return contentErrorResponse(err, 'Failed to export products for Shopify')
+  }
+}
@@ -0,0 +1,30 @@
+import { contentErrorResponse } from '@/lib/api/errors'
+import { jsonError, jsonSuccess } from '@/lib/api/responses'
+import { compileTailwind } from '@/lib/content/tailwind'
+import type { NextRequest } from 'next/server'
+
+export const dynamic = 'force-dynamic'
+
+interface CompileTailwindRequest {
+  html: unknown
+}
+
+// The CSS of the Tailwind utilities a snippet uses, for the export step that replaces the CDN script
+export async function POST(request: NextRequest) {
+  let body: CompileTailwindRequest
+  try {
+    body = await request.json()
+  } catch {
+    return jsonError(400, 'INVALID_JSON', 'Request body must be JSON')
+  }
+
+  if (typeof body.html !== 'string') {
+    return jsonError(422, 'INVALID_CONTENT', '"html" must be a string')
+  }
+
+  try {
+    return jsonSuccess({ css: await compileTailwind(body.html) })
+  } catch (err) {
+    return contentErrorResponse(err, 'Failed to compile Tailwind classes')
+  }
+}
@@ -1,3 +1,4 @@
+import { ContentRegistryProvider } from '@/components/ContentRegistryProvider'
 import type { Metadata } from 'next'
 import './globals.css'
 
@@ -17,7 +18,9 @@ export default function RootLayout({
 }) {
   return (
     <html lang="en">
-      <body>{children}</body>
+      <body>
+        <ContentRegistryProvider>{children}</ContentRegistryProvider>
+      </body>
     </html>
   )
 }
@@ -1,61 +1,25 @@
 'use client'
 
+import { useContentRegistry } from '@/components/ContentRegistryProvider'
+import { allProducts } from '@/lib/content/navigation'
 import * as Icons from 'lucide-react'
 import React, { useState } from 'react'
 import styles from './page.module.css'
 
-interface Product {
-  id: string
-  name: string
-  brand: string
-  components: {
-    id: string
-    label: string
-    path: string
-  }[]
-}
-
-const products: Product[] = [
-  {
-    id: 'braaid',
-    name: 'Braaid',
-    brand: 'SKëLD',
-    components: [
-      { id: 'specifications', label: 'Specifications', path: '/content-types/extended-product/skeld/braaid/specifications.html' },
-      { id: 'tasting-notes', label: 'Tasting Notes', path: '/content-types/extended-product/skeld/braaid/tasting-notes.html' },
-      { id: 'maker-comments', label: 'Maker Comments', path: '/content-types/extended-product/skeld/braaid/maker-comments.html' },
-      { id: 'origin-story', label: 'Origin Story', path: '/content-types/extended-product/skeld/braaid/origin-story.html' },
-    ],
-  },
-  {
-    id: 'tholtan',
-    name: 'Tholtan',
-    brand: 'SKëLD',
-    components: [
-      { id: 'specifications', label: 'Specifications', path: '/content-types/extended-product/skeld/tholtan/specifications.html' },
-      { id: 'tasting-notes', label: 'Tasting Notes', path: '/content-types/extended-product/skeld/tholtan/tasting-notes.html' },
-      { id: 'maker-comments', label: 'Maker Comments', path: '/content-types/extended-product/skeld/tholtan/maker-comments.html' },
-      { id: 'origin-story', label: 'Origin Story', path: '/content-types/extended-product/skeld/tholtan/origin-story.html' },
-    ],
-  },
-]
-
 interface ProductPreviewProps {
   searchParams: Promise<{ product?: string }>
 }
 
 export default function ProductPreview({ searchParams }: ProductPreviewProps) {
   const params = React.use(searchParams)
+  const { registry } = useContentRegistry()
+  const products = registry ? allProducts(registry) : []
   const [selectedProduct, setSelectedProduct] = useState<string>(params.product || 'braaid')
   const [componentContent, setComponentContent] = useState<Record<string, string>>({})
   const [loading, setLoading] = useState<Record<string, boolean>>({})
   const [copied, setCopied] = useState<Record<string, boolean>>({})
-  const [expandedComponents, setExpandedComponents] = useState<Record<string, boolean>>({
-    specifications: true,
-    'tasting-notes': true,
-    'maker-comments': true,
-    'origin-story': true,
-  })
+  // All components start expanded; track the ones the user has collapsed
+  const [collapsedComponents, setCollapsedComponents] = useState<Record<string, boolean>>({})
 
   const product = products.find((p) => p.id === selectedProduct)
 
@@ -118,8 +82,8 @@ export default function ProductPreview({ searchParams }: ProductPreviewProps) {
                 setComponentContent({})
               }}
             >
-              <span className={styles.brand}>{p.brand}</span>
-              <span className={styles.name}>{p.name}</span>
+              <span className={styles.brand}>{p.brandName}</span>
+              <span className={styles.name}>{p.displayName}</span>
             </button>
           ))}
         </div>
@@ -132,7 +96,7 @@ export default function ProductPreview({ searchParams }: ProductPreviewProps) {
               <div>
                 <p className={styles.subtitle}>LEARN ABOUT</p>
                 <h1>
-                  {product.brand} - {product.name}
+                  {product.displayName}
                 </h1>
               </div>
             </div>
@@ -141,14 +105,14 @@ export default function ProductPreview({ searchParams }: ProductPreviewProps) {
               {product.components.map((component) => (
                 <div
                   key={component.id}
-                  className={`${styles.componentWrapper} ${expandedComponents[component.id] ? styles.expanded : styles.collapsed}`}
+                  className={`${styles.componentWrapper} ${!collapsedComponents[component.id] ? styles.expanded : styles.collapsed}`}
                   onMouseEnter={() => loadComponent(component.id, component.path)}
                 >
                   <div className={styles.componentHeader}>
                     <button
                       className={styles.headerButton}
                       onClick={() =>
-                        setExpandedComponents((prev) => ({
+                        setCollapsedComponents((prev) => ({
                           ...prev,
                           [component.id]: !prev[component.id],
                         }))
@@ -159,7 +123,7 @@ export default function ProductPreview({ searchParams }: ProductPreviewProps) {
                           size={20}
                           className={styles.chevron}
                           style={{
-                            transform: expandedComponents[component.id] ? 'rotate(0deg)' : 'rotate(-90deg)',
+                            transform: !collapsedComponents[component.id] ? 'rotate(0deg)' : 'rotate(-90deg)',
                           }}
                         />
                         <span className={styles.componentLabel}>{component.label}</span>
@@ -178,7 +142,7 @@ export default function ProductPreview({ searchParams }: ProductPreviewProps) {
                       )}
                     </button>
                   </div>
-                  {expandedComponents[component.id] && (
+                  {!collapsedComponents[component.id] && (
                     <>
                       {loading[component.id] ? (
                         <div className={styles.loading}>Loading {component.label}...</div>
@@ -0,0 +1,128 @@
+'use client'
+
+import { ApiError } from '@/lib/api/client'
+import {
+  AnnouncementMarkupError,
+  BANNER_VARIANTS,
+  insertAnnouncement,
+  todayIsoDate,
+  type AnnouncementDraft,
+  type BannerVariant,
+} from '@/lib/content/announcements'
+import { fetchArchivedAnnouncementIds, saveContentFile } from '@/lib/content/client'
+import type { ContentFile } from '@/lib/content/types'
+import * as Icons from 'lucide-react'
+import { useState } from 'react'
+import styles from './AnnouncementComposer.module.css'
+
+interface AnnouncementComposerProps {
+  file: ContentFile
+  // Receives the saved page and the id of the new section
+  onSaved: (file: ContentFile, sectionId: string) => void
+  onCancel: () => void
+}
+
+export default function AnnouncementComposer({ file, onSaved, onCancel }: AnnouncementComposerProps) {
+  const [draft, setDraft] = useState<AnnouncementDraft>({
+    date: todayIsoDate(),
+    banner: 'primary',
+    title: '',
+    subtitle: '',
+    body: '',
+    imageUrl: '',
+    imageAlt: '',
+  })
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  const update = <K extends keyof AnnouncementDraft>(field: K, value: AnnouncementDraft[K]) => {
+    setDraft((prev) => ({ ...prev, [field]: value }))
+  }
+
+  const handleSubmit = async (event: React.FormEvent) => {
+    event.preventDefault()
+    setSaving(true)
+    setError(null)
+    try {
+      const { content, id } = insertAnnouncement(file.content, draft, await fetchArchivedAnnouncementIds(file.path))
+      onSaved(await saveContentFile(file.path, content, file.version), id)
+    } catch (err) {
+      if (err instanceof ApiError && err.code === 'CONTENT_CONFLICT') {
+        setError(`${err.message}. Reload the page to pick up the latest version, then try again.`)
+      } else if (err instanceof AnnouncementMarkupError || err instanceof ApiError) {
+        setError(err.message)
+      } else {
+        console.error('Error adding announcement:', err)
+        setError('Failed to add announcement')
+      }
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <form className={styles.composer} onSubmit={handleSubmit}>
+      <div className={styles.row}>
+        <label className={styles.field}>
+          <span>Date</span>
+          <input type="date" value={draft.date} onChange={(e) => update('date', e.target.value)} required />
+        </label>
+        <label className={styles.field}>
+          <span>Banner</span>
+          <select value={draft.banner} onChange={(e) => update('banner', e.target.value as BannerVariant)}>
+            {BANNER_VARIANTS.map((variant) => (
+              <option key={variant} value={variant}>
+                {variant}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <label className={styles.field}>
+        <span>Title</span>
+        <input value={draft.title} onChange={(e) => update('title', e.target.value)} required />
+      </label>
+      <label className={styles.field}>
+        <span>Subtitle</span>
+        <input value={draft.subtitle} onChange={(e) => update('subtitle', e.target.value)} />
+      </label>
+      <label className={styles.field}>
+        <span>Body</span>
+        <textarea
+          rows={8}
+          value={draft.body}
+          onChange={(e) => update('body', e.target.value)}
+          placeholder="Separate paragraphs with a blank line. Inline HTML such as <strong> or <ul> is kept."
+        />
+      </label>
+
+      <div className={styles.row}>
+        <label className={styles.field}>
+          <span>Image URL (optional)</span>
+          <input type="url" value={draft.imageUrl} onChange={(e) => update('imageUrl', e.target.value)} />
+        </label>
+        <label className={styles.field}>
+          <span>Image alt text</span>
+          <input
+            value={draft.imageAlt}
+            onChange={(e) => update('imageAlt', e.target.value)}
+            required={Boolean(draft.imageUrl.trim())}
+          />
+        </label>
+      </div>
+
+      {error && <div className={styles.error}>{error}</div>}
+
+      <div className={styles.actions}>
+        <button type="button" className={styles.actionBtn} onClick={onCancel} disabled={saving}>
+          Cancel
+        </button>
+        <button type="submit" className={`${styles.actionBtn} ${styles.primary}`} disabled={saving}>
+          <Icons.Plus size={16} />
+          {saving ? 'Adding...' : 'Add announcement'}
+        </button>
+      </div>
+    </form>
+  )
+}
@@ -0,0 +1,205 @@
+'use client'
+
+import { ApiError } from '@/lib/api/client'
+import {
+  appendArchivedAnnouncement,
+  ARCHIVE_FILE,
+  archivePathFor,
+  emptyAnnouncementsPage,
+  moveAnnouncement,
+  parseAnnouncementSections,
+  removeAnnouncement,
+  replaceAnnouncement,
+  type AnnouncementSection,
+} from '@/lib/content/announcements'
+import { fetchContentFile, saveContentFile } from '@/lib/content/client'
+import type { ContentFile } from '@/lib/content/types'
+import * as Icons from 'lucide-react'
+import { useMemo, useState } from 'react'
+import CodeEditor from './CodeEditor'
+import { useContentRegistry } from './ContentRegistryProvider'
+import styles from './AnnouncementManager.module.css'
+
+interface AnnouncementManagerProps {
+  file: ContentFile
+  onSaved: (file: ContentFile) => void
+}
+
+function describeError(err: unknown): string {
+  if (err instanceof ApiError && err.code === 'CONTENT_CONFLICT') {
+    return `${err.message}. Reload the page to pick up the latest version, then try again.`
+  }
+  if (err instanceof Error) return err.message
+  return 'Failed to update announcements'
+}
+
+export default function AnnouncementManager({ file, onSaved }: AnnouncementManagerProps) {
+  const { refresh } = useContentRegistry()
+  // Id of the section whose change is being saved
+  const [busy, setBusy] = useState<string | null>(null)
+  const [editingId, setEditingId] = useState<string | null>(null)
+  const [draft, setDraft] = useState('')
+  const [error, setError] = useState<string | null>(null)
+
+  const archivePath = archivePathFor(file.path)
+  const isArchive = file.path === archivePath
+
+  const parsed = useMemo(() => {
+    try {
+      return { sections: parseAnnouncementSections(file.content), error: null }
+    } catch (err) {
+      return { sections: [] as AnnouncementSection[], error: describeError(err) }
+    }
+  }, [file.content])
+
+  const run = async (id: string, action: () => Promise<void>) => {
+    setBusy(id)
+    setError(null)
+    try {
+      await action()
+    } catch (err) {
+      console.error(`Error updating announcement ${id}:`, err)
+      setError(describeError(err))
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const savePage = async (content: string) => {
+    onSaved(await saveContentFile(file.path, content, file.version))
+  }
+
+  const move = (id: string, direction: -1 | 1) => run(id, () => savePage(moveAnnouncement(file.content, id, direction)))
+
+  const startEditing = (section: AnnouncementSection) => {
+    setEditingId(section.id)
+    setDraft(section.markup)
+  }
+
+  const saveEdit = (id: string) =>
+    run(id, async () => {
+      await savePage(replaceAnnouncement(file.content, id, draft))
+      setEditingId(null)
+    })
+
+  const archive = (id: string) =>
+    run(id, async () => {
+      const { content, section } = removeAnnouncement(file.content, id)
+      let archiveFile: ContentFile | null = null
+      try {
+        archiveFile = await fetchContentFile(archivePath)
+      } catch (err) {
+        if (!(err instanceof ApiError && err.code === 'CONTENT_NOT_FOUND')) throw err
+      }
+
+      // The archive is written first, so the section is never lost; archiving it again after
+      // the page failed to save leaves the archived copy as it is instead of adding a second one
+      const archived = appendArchivedAnnouncement(archiveFile?.content ?? emptyAnnouncementsPage(file.content), section)
+      await saveContentFile(archivePath, archived, archiveFile?.version ?? null)
+      if (!archiveFile) refresh()
+      try {
+        await savePage(content)
+      } catch (err) {
+        throw new Error(
+          `"${section.title}" was added to ${ARCHIVE_FILE}, but this page could not be saved and still shows it. ` +
+            describeError(err)
+        )
+      }
+    })
+
+  const remove = (section: AnnouncementSection) => {
+    if (!window.confirm(`Delete "${section.title}"? This cannot be undone.`)) return
+    run(section.id, () => savePage(removeAnnouncement(file.content, section.id).content))
+  }
+
+  if (parsed.error) {
+    return <div className={styles.error}>{parsed.error}</div>
+  }
+
+  return (
+    <div className={styles.manager}>
+      {error && <div className={styles.error}>{error}</div>}
+      {parsed.sections.length === 0 && <div className={styles.empty}>No announcements on this page yet.</div>}
+      <ul className={styles.list}>
+        {parsed.sections.map((section, index) => (
+          <li key={section.id} className={styles.item}>
+            <div className={styles.row}>
+              <div className={styles.order}>
+                <button
+                  className={styles.iconBtn}
+                  onClick={() => move(section.id, -1)}
+                  disabled={busy !== null || index === 0}
+                  title="Move up"
+                >
+                  <Icons.ChevronUp size={16} />
+                </button>
+                <button
+                  className={styles.iconBtn}
+                  onClick={() => move(section.id, 1)}
+                  disabled={busy !== null || index === parsed.sections.length - 1}
+                  title="Move down"
+                >
+                  <Icons.ChevronDown size={16} />
+                </button>
+              </div>
+              <span className={styles.banner} data-banner={section.banner ?? 'none'} title={section.banner ?? 'No banner'} />
+              <div className={styles.summary}>
+                <span className={styles.title}>{section.title}</span>
+                <span className={styles.meta}>
+                  {section.date ?? 'Undated'} · #{section.id}
+                </span>
+              </div>
+              <div className={styles.actions}>
+                <button
+                  className={styles.iconBtn}
+                  onClick={() => startEditing(section)}
+                  disabled={busy !== null || editingId !== null}
+                  title="Edit section HTML"
+                >
+                  <Icons.Pencil size={16} />
+                </button>
+                {!isArchive && (
+                  <button
+                    className={styles.iconBtn}
+                    onClick={() => archive(section.id)}
+                    disabled={busy !== null || editingId !== null}
+                    title={`Move to ${ARCHIVE_FILE}`}
+                  >
+                    <Icons.Archive size={16} />
+                  </button>
+                )}
+                <button
+                  className={`${styles.iconBtn} ${styles.danger}`}
+                  onClick={() => remove(section)}
+                  disabled={busy !== null || editingId !== null}
+                  title="Delete"
+                >
+                  <Icons.Trash2 size={16} />
+                </button>
+              </div>
+            </div>
+
+            {editingId === section.id && (
+              <div className={styles.editor}>
+                <CodeEditor value={draft} onChange={setDraft} height="320px" />
+                <div className={styles.editorActions}>
+                  <button className={styles.actionBtn} onClick={() => setEditingId(null)} disabled={busy !== null}>
+                    Cancel
+                  </button>
+                  <button
+                    className={`${styles.actionBtn} ${styles.primary}`}
+                    onClick={() => saveEdit(section.id)}
+                    disabled={busy !== null || draft === section.markup}
+                  >
+                    <Icons.Save size={16} />
+                    {busy === section.id ? 'Saving...' : 'Save'}
+                  </button>
+                </div>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
@@ -0,0 +1,98 @@
+'use client'
+
+import { pageStyles, sectionHtml, type AnnouncementSection } from '@/lib/content/announcements'
+import { exportSnippet, type ExportOptions } from '@/lib/content/exportPipeline'
+import * as Icons from 'lucide-react'
+import { useMemo, useState } from 'react'
+import CopyNotice from './CopyNotice'
+import { useClipboardCopy } from './useClipboardCopy'
+import styles from './AnnouncementSectionList.module.css'
+
+type SectionView = 'rendered' | 'html'
+
+interface AnnouncementSectionListProps {
+  page: string
+  sections: AnnouncementSection[]
+  // Applied to each rendered section so it matches the page-level rendered view
+  renderedClassName?: string
+  // The page's export steps, which each section's copy goes through too
+  exportOptions: ExportOptions
+  compileTailwind: (html: string) => Promise<string>
+  // Called with what a section's copy button put on the clipboard
+  onCopied: (html: string) => void
+}
+
+export default function AnnouncementSectionList({
+  page,
+  sections,
+  renderedClassName = '',
+  exportOptions,
+  compileTailwind,
+  onCopied,
+}: AnnouncementSectionListProps) {
+  const [viewMode, setViewMode] = useState<Record<string, SectionView>>({})
+  const clipboard = useClipboardCopy()
+  const css = useMemo(() => pageStyles(page), [page])
+
+  const handleCopy = async (section: AnnouncementSection) => {
+    const copiedHtml = await clipboard.copy(async () => {
+      // Inlining needs the page's rules, which the section relies on
+      const html = exportOptions.styles === 'keep' ? sectionHtml(section) : `${css}\n${sectionHtml(section)}`
+      const compiled = exportOptions.tailwind ? { css: await compileTailwind(html) } : undefined
+      return exportSnippet(html, exportOptions, compiled).html
+    }, section.id)
+    if (copiedHtml !== null) onCopied(copiedHtml)
+  }
+
+  return (
+    <div className={styles.list}>
+      {/* The page's own styles, shared by every rendered section */}
+      {css && <div hidden dangerouslySetInnerHTML={{ __html: css }} />}
+
+      {sections.map((section) => {
+        const mode = viewMode[section.id] || 'rendered'
+        return (
+          <div key={section.id} className={styles.section}>
+            <div className={styles.sectionHeader}>
+              <div className={styles.summary}>
+                <span className={styles.title}>{section.title}</span>
+                <span className={styles.meta}>{section.date ?? 'Undated'}</span>
+              </div>
+              <div className={styles.viewToggle}>
+                <button
+                  className={`${styles.viewBtn} ${mode === 'rendered' ? styles.active : ''}`}
+                  onClick={() => setViewMode((prev) => ({ ...prev, [section.id]: 'rendered' }))}
+                  title="Show rendered view"
+                >
+                  <Icons.Eye size={16} />
+                </button>
+                <button
+                  className={`${styles.viewBtn} ${mode === 'html' ? styles.active : ''}`}
+                  onClick={() => setViewMode((prev) => ({ ...prev, [section.id]: 'html' }))}
+                  title="Show HTML source"
+                >
+                  <Icons.Code size={16} />
+                </button>
+              </div>
+              <button
+                className={`${styles.copyBtn} ${clipboard.copiedKey === section.id ? styles.copiedSuccess : ''}`}
+                onClick={() => handleCopy(section)}
+                title={clipboard.mode === 'rich' ? 'Copy this announcement as rich content' : 'Copy this announcement'}
+              >
+                {clipboard.copiedKey === section.id ? <Icons.Check size={16} /> : <Icons.Copy size={16} />}
+              </button>
+            </div>
+            <CopyNotice notice={clipboard.noticeFor(section.id)} onDismiss={clipboard.dismissNotice} />
+            {mode === 'rendered' ? (
+              <div className={renderedClassName} dangerouslySetInnerHTML={{ __html: section.markup }} />
+            ) : (
+              <pre className={styles.htmlView}>
+                <code>{sectionHtml(section)}</code>
+              </pre>
+            )}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
@@ -1,56 +1,122 @@
 'use client'
 
+import { parseAnnouncementSections } from '@/lib/content/announcements'
+import { fetchContentFile } from '@/lib/content/client'
+import { exportSnippet } from '@/lib/content/exportPipeline'
+import type { ViewMode } from '@/lib/content/navigation'
+import type { ContentFile } from '@/lib/content/types'
 import * as Icons from 'lucide-react'
-import React, { useState } from 'react'
+import React, { useCallback, useEffect, useMemo, useState } from 'react'
+import AnnouncementComposer from './AnnouncementComposer'
+import AnnouncementManager from './AnnouncementManager'
+import AnnouncementSectionList from './AnnouncementSectionList'
+import CopyModeToggle from './CopyModeToggle'
+import CopyNotice from './CopyNotice'
+import DiffView from './DiffView'
+import DraftNotice from './DraftNotice'
+import ExportPanel from './ExportPanel'
+import HistoryPanel from './HistoryPanel'
+import SnippetEditor from './SnippetEditor'
+import { useClipboardCopy } from './useClipboardCopy'
+import { isChangedSinceCopy, useCopyStatuses } from './useCopyStatuses'
+import { useExportOptions } from './useExportOptions'
+import { useTailwindCss } from './useTailwindCss'
 import styles from './AnnouncementsPreview.module.css'
 
 interface AnnouncementsPreviewProps {
+  path: string
   title: string
   description: string
+  viewMode: ViewMode
+  onViewModeChange: (mode: ViewMode) => void
 }
 
-export default function AnnouncementsPreview({ title, description }: AnnouncementsPreviewProps) {
-  const [content, setContent] = useState<string>('')
+export default function AnnouncementsPreview({
+  path,
+  title,
+  description,
+  viewMode,
+  onViewModeChange,
+}: AnnouncementsPreviewProps) {
+  const [file, setFile] = useState<ContentFile | null>(null)
   const [loading, setLoading] = useState(false)
-  const [copied, setCopied] = useState(false)
-  const [viewMode, setViewMode] = useState<'rendered' | 'html'>('rendered')
+  const [editing, setEditing] = useState(false)
+  const [composing, setComposing] = useState(false)
+  const [managing, setManaging] = useState(false)
+  const [showingHistory, setShowingHistory] = useState(false)
+  const [showingCopyDiff, setShowingCopyDiff] = useState(false)
+  const [showingExport, setShowingExport] = useState(false)
+  // Section to scroll to once the page re-renders with it
+  const [pendingAnchor, setPendingAnchor] = useState<string | null>(null)
+  const content = file?.content ?? ''
+  const { statuses: copyStatuses, markCopied } = useCopyStatuses([path])
+  const copyStatus = copyStatuses[path]
+  const { options: exportOptions, setOptions: setExportOptions } = useExportOptions('page')
+  const clipboard = useClipboardCopy()
+  const tailwind = useTailwindCss(showingExport || showingCopyDiff ? [content] : [], exportOptions.tailwind)
 
-  // Load content on mount
-  React.useEffect(() => {
-    const loadContent = async () => {
-      setLoading(true)
-      try {
-        const response = await fetch('/content-types/announcements/page.html')
-        if (!response.ok) throw new Error('Failed to load announcements')
-        const html = await response.text()
-        setContent(html)
-      } catch (err) {
-        console.error('Error loading announcements:', err)
-      } finally {
-        setLoading(false)
-      }
+  const sections = useMemo(() => {
+    try {
+      return parseAnnouncementSections(content)
+    } catch {
+      // Pages without an announcements container are rendered as a whole
+      return []
+    }
+  }, [content])
+
+  const loadContent = useCallback(async () => {
+    setLoading(true)
+    try {
+      setFile(await fetchContentFile(path))
+    } catch (err) {
+      console.error('Error loading announcements:', err)
+    } finally {
+      setLoading(false)
     }
+  }, [path])
 
+  // Load content on mount
+  React.useEffect(() => {
     loadContent()
-  }, [])
+  }, [loadContent])
 
-  const handleCopy = async () => {
-    try {
-      const parser = new DOMParser()
-      const doc = parser.parseFromString(content, 'text/html')
-      const contentDiv = doc.querySelector('div')
-      let contentToCopy = content
+  // Editing happens in the HTML view
+  const startEditing = () => {
+    setEditing(true)
+    if (viewMode !== 'html') onViewModeChange('html')
+  }
 
-      if (contentDiv) {
-        contentToCopy = contentDiv.innerHTML
-      }
+  const handleSaved = (saved: ContentFile) => {
+    setFile(saved)
+    setEditing(false)
+  }
 
-      await navigator.clipboard.writeText(contentToCopy)
-      setCopied(true)
-      setTimeout(() => setCopied(false), 2000)
-    } catch (err) {
-      console.error('Error copying:', err)
-    }
+  const handleComposed = (saved: ContentFile, sectionId: string) => {
+    setFile(saved)
+    setComposing(false)
+    setPendingAnchor(sectionId)
+    if (viewMode !== 'rendered') onViewModeChange('rendered')
+  }
+
+  // Links such as search results open the page at a section; it can only be scrolled to once loaded
+  useEffect(() => {
+    const anchor = decodeURIComponent(window.location.hash.slice(1))
+    if (anchor) setPendingAnchor(anchor)
+  }, [])
+
+  useEffect(() => {
+    if (!pendingAnchor || viewMode !== 'rendered' || !file) return
+    document.getElementById(pendingAnchor)?.scrollIntoView({ behavior: 'smooth', block: 'start' })
+    setPendingAnchor(null)
+  }, [pendingAnchor, viewMode, file])
+
+  const handleCopy = async () => {
+    if (!file) return
+    const copiedHtml = await clipboard.copy(async () => {
+      const compiled = exportOptions.tailwind ? { css: await tailwind.compile(content) } : undefined
+      return exportSnippet(content, exportOptions, compiled).html
+    })
+    if (copiedHtml !== null) markCopied(file, copiedHtml)
   }
 
   return (
@@ -67,34 +133,158 @@ export default function AnnouncementsPreview({ title, description }: Announcemen
           <div className={styles.viewToggle}>
             <button
               className={`${styles.viewBtn} ${viewMode === 'rendered' ? styles.active : ''}`}
-              onClick={() => setViewMode('rendered')}
+              onClick={() => onViewModeChange('rendered')}
+              disabled={editing}
               title="Show rendered view"
             >
               <Icons.Eye size={16} />
             </button>
             <button
               className={`${styles.viewBtn} ${viewMode === 'html' ? styles.active : ''}`}
-              onClick={() => setViewMode('html')}
+              onClick={() => onViewModeChange('html')}
+              disabled={editing}
               title="Show HTML source"
             >
               <Icons.Code size={16} />
             </button>
+            <button
+              className={`${styles.viewBtn} ${viewMode === 'split' ? styles.active : ''}`}
+              onClick={() => onViewModeChange('split')}
+              disabled={editing}
+              title="Edit with live preview"
+            >
+              <Icons.Columns2 size={16} />
+            </button>
+          </div>
+          <div className={styles.headerActions}>
+            {copyStatus && isChangedSinceCopy(copyStatus, file) && (
+              <span
+                className={styles.changedBadge}
+                title={`Last copied ${new Date(copyStatus.copiedAt).toLocaleString()}`}
+              >
+                Changed since last copy
+              </span>
+            )}
+            <button
+              className={`${styles.panelBtn} ${showingCopyDiff ? styles.editing : ''}`}
+              onClick={() => setShowingCopyDiff((prev) => !prev)}
+              disabled={loading || !file || !copyStatus}
+              title={copyStatus ? 'Compare with what was last copied to Shopify' : 'Not copied to Shopify yet'}
+            >
+              <Icons.GitCompare size={18} />
+            </button>
+            <button
+              className={`${styles.panelBtn} ${showingHistory ? styles.editing : ''}`}
+              onClick={() => setShowingHistory((prev) => !prev)}
+              disabled={loading || !file}
+              title={showingHistory ? 'Hide version history' : 'Show version history'}
+            >
+              <Icons.History size={18} />
+            </button>
+            <button
+              className={`${styles.panelBtn} ${managing ? styles.editing : ''}`}
+              onClick={() => setManaging((prev) => !prev)}
+              disabled={loading || !file || editing || viewMode === 'split'}
+              title={managing ? 'Hide section list' : 'Manage sections'}
+            >
+              <Icons.ListOrdered size={18} />
+            </button>
+            <button
+              className={`${styles.panelBtn} ${composing ? styles.editing : ''}`}
+              onClick={() => setComposing(true)}
+              disabled={loading || !file || editing || composing || viewMode === 'split'}
+              title="New announcement"
+            >
+              <Icons.Plus size={18} />
+            </button>
+            <button
+              className={`${styles.editBtn} ${editing ? styles.editing : ''}`}
+              onClick={startEditing}
+              disabled={loading || !file || editing || composing || managing || viewMode === 'split'}
+              title="Edit page HTML"
+            >
+              <Icons.Pencil size={18} />
+            </button>
+            <button
+              className={`${styles.panelBtn} ${showingExport ? styles.editing : ''}`}
+              onClick={() => setShowingExport((prev) => !prev)}
+              disabled={loading || !file}
+              title={showingExport ? 'Hide export steps' : 'Export steps and clipboard preview'}
+            >
+              <Icons.SlidersHorizontal size={18} />
+            </button>
+            <CopyModeToggle mode={clipboard.mode} onChange={clipboard.setMode} />
+            <button
+              className={`${styles.copyBtn} ${clipboard.copiedKey === '' ? styles.copiedSuccess : ''}`}
+              onClick={handleCopy}
+              disabled={loading || !content}
+              title={clipboard.mode === 'rich' ? 'Copy whole page as rich content' : 'Copy whole page'}
+            >
+              {clipboard.copiedKey === '' ? <Icons.Check size={18} /> : <Icons.Copy size={18} />}
+            </button>
           </div>
-          <button
-            className={`${styles.copyBtn} ${copied ? styles.copiedSuccess : ''}`}
-            onClick={handleCopy}
-            disabled={loading || !content}
-            title="Copy content"
-          >
-            {copied ? <Icons.Check size={18} /> : <Icons.Copy size={18} />}
-          </button>
         </div>
 
         <div className={styles.content}>
+          <CopyNotice notice={clipboard.noticeFor()} onDismiss={clipboard.dismissNotice} />
+          {file && !editing && viewMode !== 'split' && <DraftNotice file={file} onResume={startEditing} />}
+          {file && showingCopyDiff && copyStatus && (
+            <div className={styles.copyDiff}>
+              <DiffView
+                before={copyStatus.content}
+                after={exportSnippet(content, exportOptions, tailwind.compiledFor(content)).html}
+                beforeLabel={`Last copied ${new Date(copyStatus.copiedAt).toLocaleString()}`}
+                afterLabel="Current"
+              />
+            </div>
+          )}
+          {file && showingExport && (
+            <div className={styles.copyDiff}>
+              <ExportPanel
+                source={content}
+                target="page"
+                options={exportOptions}
+                onChange={setExportOptions}
+                tailwind={tailwind.compiledFor(content)}
+                previewClassName={styles.renderedContent}
+              />
+            </div>
+          )}
+          {file && showingHistory && <HistoryPanel file={file} onRestored={setFile} />}
+          {file && managing && <AnnouncementManager file={file} onSaved={setFile} />}
+          {file && composing && (
+            <AnnouncementComposer file={file} onSaved={handleComposed} onCancel={() => setComposing(false)} />
+          )}
           {loading ? (
             <div className={styles.loading}>Loading announcements...</div>
+          ) : file && editing && viewMode === 'html' ? (
+            <SnippetEditor
+              key={file.version}
+              file={file}
+              onSaved={handleSaved}
+              onCancel={() => setEditing(false)}
+              onReload={loadContent}
+            />
+          ) : file && viewMode === 'split' ? (
+            <SnippetEditor
+              key={file.version}
+              file={file}
+              layout="split"
+              previewClassName={styles.renderedContent}
+              onSaved={handleSaved}
+              onReload={loadContent}
+            />
           ) : content ? (
-            viewMode === 'rendered' ? (
+            viewMode === 'rendered' && sections.length > 0 ? (
+              <AnnouncementSectionList
+                page={content}
+                sections={sections}
+                renderedClassName={styles.renderedContent}
+                exportOptions={exportOptions}
+                compileTailwind={tailwind.compile}
+                onCopied={(html) => file && markCopied(file, html)}
+              />
+            ) : viewMode === 'rendered' ? (
               <div
                 className={styles.renderedContent}
                 dangerouslySetInnerHTML={{ __html: content }}
@@ -1,77 +1,107 @@
 'use client'
 
+import {
+  allProducts,
+  announcementHref,
+  FIND_REPLACE_HREF,
+  productHref,
+  SPEC_COMPARISON_HREF,
+  templateHref,
+} from '@/lib/content/navigation'
+import type { ContentRegistry } from '@/lib/content/types'
 import * as Icons from 'lucide-react'
-import { useState, type PropsWithChildren, type ReactElement } from 'react'
+import Link from 'next/link'
+import { usePathname } from 'next/navigation'
+import { useMemo, useState, type PropsWithChildren, type ReactElement } from 'react'
+import { useContentRegistry } from './ContentRegistryProvider'
+import NewProductDialog from './NewProductDialog'
+import SearchResults from './SearchResults'
 import styles from './AppLayout.module.css'
 
-export interface NavItem {
-  id: string
+interface NavItem {
+  href: string
+  // Matches nested routes too, so a product stays highlighted while a component is open
+  matchPrefix: string
   label: string
   icon: React.ReactNode
-  type: 'announcements' | 'extended-product'
-  view: 'main' | 'template'
-  template?: string
+  badge?: string
+  error?: string
 }
 
 interface NavSection {
   title: string
   items: NavItem[]
+  action?: { label: string; onClick: () => void }
 }
 
-export const navSections: NavSection[] = [
-  {
-    title: 'Announcements',
-    items: [
-      {
-        id: 'announcements-main',
-        label: 'Preview',
+function buildNavSections(registry: ContentRegistry, onNewProduct: () => void): NavSection[] {
+  return [
+    {
+      title: 'Announcements',
+      items: registry.announcements.map((page) => ({
+        href: announcementHref(page),
+        matchPrefix: announcementHref(page),
+        label: page.label,
         icon: <Icons.FileText size={16} />,
-        type: 'announcements',
-        view: 'main',
-      },
-    ],
-  },
-  {
-    title: 'Extended Products',
-    items: [
-      {
-        id: 'product-braaid',
-        label: 'SKëLD - Braaid',
-        icon: <Icons.Package size={16} />,
-        type: 'extended-product',
-        view: 'product-preview',
-        template: 'braaid',
-      },
-      {
-        id: 'product-tholtan',
-        label: 'SKëLD - Tholtan',
-        icon: <Icons.Package size={16} />,
-        type: 'extended-product',
-        view: 'product-preview',
-        template: 'tholtan',
-      },
-      {
-        id: 'product-cashtal',
-        label: 'SKëLD - Cashtal',
-        icon: <Icons.Package size={16} />,
-        type: 'extended-product',
-        view: 'product-preview',
-        template: 'cashtal',
-      },
-    ],
-  },
-]
+      })),
+    },
+    {
+      title: 'Extended Products',
+      items: allProducts(registry).map((product) => ({
+        href: productHref(product, product.components[0]?.id),
+        matchPrefix: productHref(product),
+        label: product.displayName,
+        icon: product.manifestError ? <Icons.AlertTriangle size={16} /> : <Icons.Package size={16} />,
+        badge: product.status === 'active' ? undefined : product.status,
+        error: product.manifestError ?? undefined,
+      })),
+      action: { label: 'New product', onClick: onNewProduct },
+    },
+    {
+      title: 'Templates',
+      items: registry.templates.map((template) => ({
+        href: templateHref(template),
+        matchPrefix: templateHref(template),
+        label: template.label,
+        icon: <Icons.LayoutTemplate size={16} />,
+      })),
+    },
+    {
+      title: 'Tools',
+      items: [
+        {
+          href: FIND_REPLACE_HREF,
+          matchPrefix: FIND_REPLACE_HREF,
+          label: 'Find and Replace',
+          icon: <Icons.Replace size={16} />,
+        },
+        {
+          href: SPEC_COMPARISON_HREF,
+          matchPrefix: SPEC_COMPARISON_HREF,
+          label: 'Spec Comparison',
+          icon: <Icons.Table2 size={16} />,
+        },
+      ],
+    },
+  ]
+}
 
-interface AppLayoutProps extends PropsWithChildren {
-  activeItem?: string
-  onNavClick?: (itemId: string) => void
+function isActive(item: NavItem, pathname: string): boolean {
+  return pathname === item.matchPrefix || pathname.startsWith(`${item.matchPrefix}/`)
 }
 
-export default function AppLayout({ children, activeItem = 'announcements-main', onNavClick }: AppLayoutProps): ReactElement {
+export default function AppLayout({ children }: PropsWithChildren): ReactElement {
   const [sidebarOpen, setSidebarOpen] = useState(false)
+  const [creatingProduct, setCreatingProduct] = useState(false)
+  const [query, setQuery] = useState('')
+  const pathname = usePathname()
+  const { registry, error } = useContentRegistry()
+  const navSections = useMemo(
+    () => (registry ? buildNavSections(registry, () => setCreatingProduct(true)) : []),
+    [registry]
+  )
 
-  const handleNavClick = (itemId: string) => {
-    onNavClick?.(itemId)
+  const handleNavClick = () => {
     if (typeof window !== 'undefined' && window.innerWidth <= 768) {
       setSidebarOpen(false)
     }
@@ -97,21 +127,51 @@ export default function AppLayout({ children, activeItem = 'announcements-main',
         <nav className={`${styles.sidebar} ${sidebarOpen ? styles.open : ''}`}>
           <div className={styles.sidebarHeader}>
             <h2>Content Types</h2>
+            <div className={styles.search}>
+              <Icons.Search size={14} />
+              <input
+                type="search"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Escape') setQuery('')
+                }}
+                placeholder="Search products and announcements"
+                aria-label="Search products and announcements"
+              />
+            </div>
           </div>
 
           <div className={styles.navContent}>
-            {navSections.map((section) => (
+            {error && <div className={styles.navError}>{error}</div>}
+            {query.trim() && <SearchResults query={query} onNavigate={handleNavClick} />}
+            {!query.trim() && navSections.map((section) => (
               <div key={section.title} className={styles.navSection}>
-                <div className={styles.navSectionTitle}>{section.title}</div>
+                <div className={styles.navSectionTitle}>
+                  {section.title}
+                  {section.action && (
+                    <button
+                      className={styles.navSectionAction}
+                      onClick={section.action.onClick}
+                      title={section.action.label}
+                      aria-label={section.action.label}
+                    >
+                      <Icons.Plus size={14} />
+                    </button>
+                  )}
+                </div>
                 {section.items.map((item) => (
-                  <button
-                    key={item.id}
-                    className={`${styles.navItem} ${activeItem === item.id ? styles.active : ''}`}
-                    onClick={() => handleNavClick(item.id)}
+                  <Link
+                    key={item.href}
+                    href={item.href}
+                    className={`${styles.navItem} ${isActive(item, pathname) ? styles.active : ''} ${item.error ? styles.invalid : ''}`}
+                    onClick={handleNavClick}
+                    title={item.error}
                   >
                     {item.icon}
                     <span>{item.label}</span>
-                  </button>
+                    {item.badge && <span className={styles.navBadge}>{item.badge}</span>}
+                  </Link>
                 ))}
               </div>
             ))}
@@ -133,6 +193,8 @@ export default function AppLayout({ children, activeItem = 'announcements-main',
           </div>
         </main>
       </div>
+
+      {creatingProduct && <NewProductDialog onClose={() => setCreatingProduct(false)} />}
     </div>
   )
 }
@@ -0,0 +1,42 @@
+'use client'
+
+import type { ComponentFormat } from '@/lib/content/markdown'
+import { html } from '@codemirror/lang-html'
+import { markdown } from '@codemirror/lang-markdown'
+import CodeMirror, { type EditorView, type Extension } from '@uiw/react-codemirror'
+import styles from './CodeEditor.module.css'
+
+// Hoisted so CodeMirror does not reconfigure the editor on every render
+const extensions: Record<ComponentFormat, Extension[]> = {
+  html: [html()],
+  markdown: [markdown()],
+}
+
+interface CodeEditorProps {
+  value: string
+  onChange: (value: string) => void
+  height?: string
+  language?: ComponentFormat
+  onCreateEditor?: (view: EditorView) => void
+}
+
+export default function CodeEditor({
+  value,
+  onChange,
+  height = '480px',
+  language = 'html',
+  onCreateEditor,
+}: CodeEditorProps) {
+  return (
+    <CodeMirror
+      className={styles.editor}
+      value={value}
+      height={height}
+      theme="dark"
+      extensions={extensions[language]}
+      onChange={onChange}
+      onCreateEditor={onCreateEditor}
+      basicSetup={{ foldGutter: true, highlightActiveLine: true }}
+    />
+  )
+}
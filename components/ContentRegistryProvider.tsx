@@ -0,0 +1,49 @@
+'use client'
+
+import { apiRequest } from '@/lib/api/client'
+import type { ContentRegistry } from '@/lib/content/types'
+import { createContext, useCallback, useContext, useEffect, useMemo, useState, type PropsWithChildren } from 'react'
+
+interface ContentRegistryState {
+  registry: ContentRegistry | null
+  loading: boolean
+  error: string | null
+  refresh: () => Promise<void>
+}
+
+const ContentRegistryContext = createContext<ContentRegistryState | null>(null)
+
+export function ContentRegistryProvider({ children }: PropsWithChildren) {
+  const [registry, setRegistry] = useState<ContentRegistry | null>(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState<string | null>(null)
+
+  const refresh = useCallback(async () => {
+    setLoading(true)
+    try {
+      setRegistry(await apiRequest<ContentRegistry>('/api/content'))
+      setError(null)
+    } catch (err) {
+      console.error('Error loading content registry:', err)
+      setError(err instanceof Error ? err.message : 'Failed to load content registry')
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    refresh()
+  }, [refresh])
+
+  const value = useMemo(() => ({ registry, loading, error, refresh }), [registry, loading, error, refresh])
+
+  return <ContentRegistryContext.Provider value={value}>{children}</ContentRegistryContext.Provider>
+}
+
+export function useContentRegistry(): ContentRegistryState {
+  const context = useContext(ContentRegistryContext)
+  if (!context) {
+    throw new Error('useContentRegistry must be used within a ContentRegistryProvider')
+  }
+  return context
+}
@@ -0,0 +1,31 @@
+'use client'
+
+import type { CopyMode } from '@/lib/content/clipboard'
+import * as Icons from 'lucide-react'
+import styles from './CopyModeToggle.module.css'
+
+interface CopyModeToggleProps {
+  mode: CopyMode
+  onChange: (mode: CopyMode) => void
+  disabled?: boolean
+}
+
+/** Switches the copy buttons between copying HTML source and rich content. */
+export default function CopyModeToggle({ mode, onChange, disabled = false }: CopyModeToggleProps) {
+  const rich = mode === 'rich'
+  return (
+    <button
+      className={`${styles.toggle} ${rich ? styles.rich : ''}`}
+      onClick={() => onChange(rich ? 'source' : 'rich')}
+      disabled={disabled}
+      title={
+        rich
+          ? "Copying rich content for Shopify's visual editor; click to copy HTML source instead"
+          : "Copying HTML source for Shopify's Show HTML editor; click to copy rich content instead"
+      }
+    >
+      {rich ? <Icons.Type size={14} /> : <Icons.Code size={14} />}
+      {rich ? 'Rich' : 'HTML'}
+    </button>
+  )
+}
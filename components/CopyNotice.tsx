@@ -0,0 +1,29 @@
+'use client'
+
+import * as Icons from 'lucide-react'
+import type { CopyNoticeState } from './useClipboardCopy'
+import styles from './CopyNotice.module.css'
+
+interface CopyNoticeProps {
+  notice: CopyNoticeState | null
+  onDismiss: () => void
+}
+
+/** Tells the user a copy needed the fallback clipboard method, or failed; renders nothing otherwise. */
+export default function CopyNotice({ notice, onDismiss }: CopyNoticeProps) {
+  if (!notice) return null
+
+  return (
+    <div className={`${styles.notice} ${notice.kind === 'error' ? styles.error : ''}`} role="status">
+      {notice.kind === 'error' ? (
+        <Icons.AlertCircle size={16} style={{ flexShrink: 0 }} />
+      ) : (
+        <Icons.Info size={16} style={{ flexShrink: 0 }} />
+      )}
+      <span>{notice.message}</span>
+      <button className={styles.dismissBtn} onClick={onDismiss} title="Dismiss">
+        <Icons.X size={14} />
+      </button>
+    </div>
+  )
+}
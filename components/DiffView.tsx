@@ -0,0 +1,53 @@
+'use client'
+
+import { collapseUnchanged, diffLines, diffStats } from '@/lib/content/diff'
+import { useMemo } from 'react'
+import styles from './DiffView.module.css'
+
+interface DiffViewProps {
+  before: string
+  after: string
+  beforeLabel: string
+  afterLabel: string
+}
+
+const MARKERS = { same: ' ', added: '+', removed: '-' }
+
+export default function DiffView({ before, after, beforeLabel, afterLabel }: DiffViewProps) {
+  const { rows, stats } = useMemo(() => {
+    const lines = diffLines(before, after)
+    return { rows: collapseUnchanged(lines), stats: diffStats(lines) }
+  }, [before, after])
+
+  return (
+    <div className={styles.diff}>
+      <div className={styles.summary}>
+        <span>
+          {beforeLabel} → {afterLabel}
+        </span>
+        <span className={styles.added}>+{stats.added}</span>
+        <span className={styles.removed}>−{stats.removed}</span>
+      </div>
+      {stats.added === 0 && stats.removed === 0 ? (
+        <div className={styles.identical}>The two versions are identical.</div>
+      ) : (
+        <pre className={styles.lines}>
+          {rows.map((row, index) =>
+            row.type === 'skipped' ? (
+              <div key={index} className={styles.skipped}>
+                ⋯ {row.count} unchanged {row.count === 1 ? 'line' : 'lines'}
+              </div>
+            ) : (
+              <div key={index} className={`${styles.line} ${styles[row.type] ?? ''}`}>
+                <span className={styles.number}>{row.oldLine ?? ''}</span>
+                <span className={styles.number}>{row.newLine ?? ''}</span>
+                <span className={styles.marker}>{MARKERS[row.type]}</span>
+                <span>{row.text}</span>
+              </div>
+            )
+          )}
+        </pre>
+      )}
+    </div>
+  )
+}
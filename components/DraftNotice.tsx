@@ -0,0 +1,30 @@
+'use client'
+
+import { loadDraft } from '@/lib/content/drafts'
+import type { ContentFile } from '@/lib/content/types'
+import * as Icons from 'lucide-react'
+import styles from './DraftNotice.module.css'
+
+interface DraftNoticeProps {
+  file: ContentFile
+  // Opens the editor, which offers to restore the draft
+  onResume: () => void
+}
+
+/** Points out an autosaved draft of `file` left from an earlier visit; renders nothing otherwise. */
+export default function DraftNotice({ file, onResume }: DraftNoticeProps) {
+  const draft = loadDraft(file.path)
+  if (!draft || draft.content === file.content) return null
+
+  return (
+    <div className={styles.notice}>
+      <Icons.FileClock size={16} style={{ flexShrink: 0 }} />
+      <span>
+        Unsaved draft{draft.savedAt && ` from ${new Date(draft.savedAt).toLocaleString()}`}
+      </span>
+      <button className={styles.resumeBtn} onClick={onResume}>
+        Resume editing
+      </button>
+    </div>
+  )
+}
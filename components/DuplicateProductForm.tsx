@@ -0,0 +1,90 @@
+'use client'
+
+import { ApiError } from '@/lib/api/client'
+import { createProduct } from '@/lib/content/client'
+import { productEditHref, productHref } from '@/lib/content/navigation'
+import { slugify } from '@/lib/content/text'
+import type { ContentProduct } from '@/lib/content/types'
+import * as Icons from 'lucide-react'
+import { useRouter } from 'next/navigation'
+import { useState } from 'react'
+import { useContentRegistry } from './ContentRegistryProvider'
+import { confirmLeave } from './useUnsavedChangesWarning'
+import styles from './DuplicateProductForm.module.css'
+
+interface DuplicateProductFormProps {
+  product: ContentProduct
+  onCancel: () => void
+}
+
+export default function DuplicateProductForm({ product, onCancel }: DuplicateProductFormProps) {
+  const router = useRouter()
+  const { refresh } = useContentRegistry()
+  const prefix = `${product.brandName} - `
+  const sourceName = product.displayName.startsWith(prefix)
+    ? product.displayName.slice(prefix.length)
+    : product.displayName
+  const [name, setName] = useState(`${sourceName} Copy`)
+  // Empty until edited, so the slug follows the name
+  const [slug, setSlug] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  const handleSubmit = async (event: React.FormEvent) => {
+    event.preventDefault()
+    // The new product is opened once created
+    if (!confirmLeave()) return
+    setSaving(true)
+    setError(null)
+    try {
+      const created = await createProduct({
+        brandName: product.brandName,
+        brand: product.brand,
+        productName: name,
+        slug: slug.trim() || undefined,
+        description: product.description,
+        seed: { brand: product.brand, product: product.id },
+      })
+      await refresh()
+      // A product without components has nothing to edit yet
+      const [first] = created.components
+      router.push(first ? productEditHref(created, first.id) : productHref(created))
+    } catch (err) {
+      if (!(err instanceof ApiError)) console.error('Error duplicating product:', err)
+      setError(err instanceof Error ? err.message : 'Failed to duplicate product')
+      setSaving(false)
+    }
+  }
+
+  return (
+    <form className={styles.form} onSubmit={handleSubmit}>
+      <div className={styles.row}>
+        <label className={styles.field}>
+          <span>New product name</span>
+          <input value={name} onChange={(e) => setName(e.target.value)} required autoFocus />
+        </label>
+        <label className={styles.field}>
+          <span>Slug</span>
+          <input value={slug} onChange={(e) => setSlug(e.target.value)} placeholder={slugify(name)} />
+        </label>
+      </div>
+      <p className={styles.hint}>
+        Copies every component of {product.displayName} into{' '}
+        <code>
+          {product.brand}/{slug.trim() || slugify(name)}
+        </code>{' '}
+        as a draft, replacing &ldquo;{sourceName}&rdquo; with the new name throughout.
+      </p>
+      {error && <div className={styles.error}>{error}</div>}
+      <div className={styles.actions}>
+        <button type="button" className={styles.actionBtn} onClick={onCancel} disabled={saving}>
+          Cancel
+        </button>
+        <button type="submit" className={`${styles.actionBtn} ${styles.primary}`} disabled={saving}>
+          <Icons.CopyPlus size={16} />
+          {saving ? 'Duplicating...' : 'Duplicate product'}
+        </button>
+      </div>
+    </form>
+  )
+}
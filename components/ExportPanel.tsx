@@ -0,0 +1,153 @@
+'use client'
+
+import {
+  DEFAULT_EXPORT_OPTIONS,
+  exportSnippet,
+  type CompiledTailwind,
+  type ExportOptions,
+  type ExportTarget,
+  type NotInlinedReason,
+  type StyleMode,
+} from '@/lib/content/exportPipeline'
+import * as Icons from 'lucide-react'
+import { useMemo } from 'react'
+import styles from './ExportPanel.module.css'
+
+interface ExportPanelProps {
+  // The snippet as it renders, before any export step
+  source: string
+  target: ExportTarget
+  options: ExportOptions
+  onChange: (options: ExportOptions) => void
+  // The source's compiled Tailwind CSS; undefined while it compiles
+  tailwind?: CompiledTailwind
+  // Applied to the preview so it matches the host's rendered view
+  previewClassName?: string
+}
+
+type ExportToggle = 'tailwind' | 'scripts' | 'stripComments' | 'normalizeWhitespace' | 'minify'
+
+const TOGGLES: Array<{ key: ExportToggle; label: string; title: string }> = [
+  {
+    key: 'tailwind',
+    label: 'Compile Tailwind',
+    title: 'Replace the Tailwind CDN script with the CSS of the utility classes the snippet uses',
+  },
+  { key: 'scripts', label: 'Keep scripts', title: 'Keep <script> elements, which Shopify strips when pasted' },
+  { key: 'stripComments', label: 'Strip comments', title: 'Remove HTML and CSS comments' },
+  {
+    key: 'normalizeWhitespace',
+    label: 'Normalize whitespace',
+    title: 'Trim trailing spaces, remove shared indentation and collapse blank lines',
+  },
+  { key: 'minify', label: 'Minify', title: 'Collapse all insignificant whitespace, including in <style> blocks' },
+]
+
+const NOT_INLINED_REASONS: Record<NotInlinedReason, string> = {
+  'at-rule': 'At-rule, such as @media or @import',
+  state: 'Needs a state or pseudo-element, such as :hover',
+  page: 'Styles the page rather than the snippet',
+  unsupported: 'Selector the browser cannot match',
+  unmatched: 'Matches nothing in the snippet',
+  stylesheet: 'External stylesheet',
+}
+
+function sizeLabel(text: string): string {
+  const bytes = new TextEncoder().encode(text).length
+  return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`
+}
+
+/** The export steps applied by the copy button, with a preview of exactly what it copies. */
+export default function ExportPanel({
+  source,
+  target,
+  options,
+  onChange,
+  tailwind,
+  previewClassName = '',
+}: ExportPanelProps) {
+  const result = useMemo(() => exportSnippet(source, options, tailwind), [source, options, tailwind])
+  const defaults = DEFAULT_EXPORT_OPTIONS[target]
+  const isDefault = (Object.keys(defaults) as Array<keyof ExportOptions>).every((key) => options[key] === defaults[key])
+
+  const update = (change: Partial<ExportOptions>) => onChange({ ...options, ...change })
+
+  return (
+    <div className={styles.panel}>
+      <div className={styles.steps}>
+        <label className={styles.field}>
+          Root
+          <input
+            value={options.root}
+            onChange={(e) => update({ root: e.target.value })}
+            placeholder="Whole snippet"
+            title="Selector of the element whose contents are copied; leave empty to copy everything"
+            spellCheck={false}
+          />
+        </label>
+        <label className={styles.field}>
+          Styles
+          <select value={options.styles} onChange={(e) => update({ styles: e.target.value as StyleMode })}>
+            <option value="keep">Keep &lt;style&gt; blocks</option>
+            <option value="inline">Inline into style attributes</option>
+            <option value="attributes">Style attributes only (rich text, email)</option>
+          </select>
+        </label>
+        <div className={styles.toggles}>
+          {TOGGLES.map(({ key, label, title }) => (
+            <label key={key} className={styles.option} title={title}>
+              <input
+                type="checkbox"
+                checked={options[key]}
+                disabled={key === 'normalizeWhitespace' && options.minify}
+                onChange={(e) => update({ [key]: e.target.checked })}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+        <button
+          className={styles.resetBtn}
+          onClick={() => onChange(defaults)}
+          disabled={isDefault}
+          title="Restore the default steps"
+        >
+          <Icons.RotateCcw size={14} />
+          Reset
+        </button>
+      </div>
+
+      {result.warnings.map((warning) => (
+        <div key={warning} className={styles.warning}>
+          <Icons.AlertTriangle size={14} style={{ flexShrink: 0 }} />
+          {warning}
+        </div>
+      ))}
+
+      {result.notInlined.length > 0 && (
+        <details className={styles.report}>
+          <summary>
+            {options.styles === 'inline' ? 'Kept in a <style> block' : 'Left out'} ({result.notInlined.length})
+          </summary>
+          <ul>
+            {result.notInlined.map((rule, index) => (
+              <li key={index}>
+                <span className={styles.reason}>{NOT_INLINED_REASONS[rule.reason]}</span>
+                <code>{rule.source}</code>
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+
+      <div className={styles.outputBar}>
+        <span>Exactly what the copy button puts on the clipboard</span>
+        <span>{sizeLabel(result.html)}</span>
+      </div>
+      <div className={`${styles.preview} ${previewClassName}`} dangerouslySetInnerHTML={{ __html: result.html }} />
+      <pre className={styles.htmlView}>
+        <code>{result.html}</code>
+      </pre>
+    </div>
+  )
+}
@@ -0,0 +1,277 @@
+'use client'
+
+import { ApiError } from '@/lib/api/client'
+import { findInSnippets, replaceInSnippets } from '@/lib/content/client'
+import {
+  validateFindOptions,
+  type FileMatches,
+  type FindOptions,
+  type ReplaceResult,
+  type TextMatch,
+} from '@/lib/content/findReplace'
+import * as Icons from 'lucide-react'
+import Link from 'next/link'
+import { useMemo, useState, type FormEvent } from 'react'
+import styles from './FindReplace.module.css'
+
+// The options and replacement the shown results were found with; replacing uses these, not the form
+interface Search {
+  options: FindOptions
+  replacement: string
+}
+
+function matchKey(path: string, match: TextMatch): string {
+  return `${path}#${match.index}`
+}
+
+function allKeys(results: FileMatches[]): Set<string> {
+  return new Set(results.flatMap((file) => file.matches.map((match) => matchKey(file.path, match))))
+}
+
+function countLabel(count: number, singular: string, plural: string): string {
+  return `${count} ${count === 1 ? singular : plural}`
+}
+
+export default function FindReplace() {
+  const [options, setOptions] = useState<FindOptions>({ query: '', regex: false, caseSensitive: false, textOnly: true })
+  const [replacement, setReplacement] = useState('')
+  const [search, setSearch] = useState<Search | null>(null)
+  const [results, setResults] = useState<FileMatches[] | null>(null)
+  const [selected, setSelected] = useState<Set<string>>(new Set())
+  const [outcome, setOutcome] = useState<ReplaceResult[] | null>(null)
+  const [busy, setBusy] = useState<'searching' | 'replacing' | null>(null)
+  const [error, setError] = useState<string | null>(null)
+
+  const patternError = useMemo(() => (options.query ? validateFindOptions(options) : null), [options])
+  const stale =
+    search !== null &&
+    (replacement !== search.replacement || JSON.stringify(options) !== JSON.stringify(search.options))
+  const matchCount = results?.reduce((sum, file) => sum + file.matches.length, 0) ?? 0
+
+  const runSearch = async (next: Search) => {
+    setBusy('searching')
+    setError(null)
+    try {
+      const found = await findInSnippets(next.options, next.replacement)
+      setSearch(next)
+      setResults(found)
+      setSelected(allKeys(found))
+    } catch (err) {
+      if (!(err instanceof ApiError)) console.error('Error searching snippets:', err)
+      setError(err instanceof Error ? err.message : 'Search failed')
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const handleSubmit = (e: FormEvent) => {
+    e.preventDefault()
+    setOutcome(null)
+    runSearch({ options, replacement })
+  }
+
+  const toggle = (keys: string[], on: boolean) => {
+    setSelected((prev) => {
+      const next = new Set(prev)
+      for (const key of keys) {
+        if (on) next.add(key)
+        else next.delete(key)
+      }
+      return next
+    })
+  }
+
+  const handleReplace = async () => {
+    if (!search || !results) return
+    const selections = results
+      .map((file) => ({
+        path: file.path,
+        version: file.version,
+        indexes: file.matches.filter((m) => selected.has(matchKey(file.path, m))).map((m) => m.index),
+      }))
+      .filter((selection) => selection.indexes.length > 0)
+    const total = countLabel(selections.reduce((sum, s) => sum + s.indexes.length, 0), 'match', 'matches')
+    if (!confirm(`Replace ${total} in ${countLabel(selections.length, 'file', 'files')}?`)) return
+
+    setBusy('replacing')
+    setError(null)
+    try {
+      setOutcome(await replaceInSnippets(search.options, search.replacement, selections))
+    } catch (err) {
+      if (!(err instanceof ApiError)) console.error('Error replacing in snippets:', err)
+      setError(err instanceof Error ? err.message : 'Replace failed')
+      return
+    } finally {
+      setBusy(null)
+    }
+    // Show what is left, including anything skipped because its file changed
+    await runSearch(search)
+  }
+
+  const replacedCount = outcome?.reduce((sum, result) => sum + result.replaced, 0) ?? 0
+  const failures = outcome?.filter((result) => result.error) ?? []
+
+  return (
+    <div>
+      <div className={styles.header}>
+        <h2 style={{ margin: '0 0 8px 0', fontSize: '24px', fontWeight: 700 }}>Find and Replace</h2>
+        <p style={{ margin: 0, color: 'var(--text-secondary)', fontSize: '14px' }}>
+          Search every announcement page, product component and template, review each match, then replace the
+          selected ones in one go. Every changed file gets a new entry in its history.
+        </p>
+      </div>
+
+      <form className={styles.panel} onSubmit={handleSubmit}>
+        <div className={styles.fields}>
+          <label className={styles.field}>
+            <span>Find</span>
+            <input
+              value={options.query}
+              onChange={(e) => setOptions((prev) => ({ ...prev, query: e.target.value }))}
+              placeholder={options.regex ? 'Regular expression' : 'Text to find'}
+              spellCheck={false}
+              autoFocus
+            />
+          </label>
+          <label className={styles.field}>
+            <span>Replace with</span>
+            <input
+              value={replacement}
+              onChange={(e) => setReplacement(e.target.value)}
+              placeholder={options.regex ? 'Replacement; $1 or $<name> insert groups' : 'Replacement'}
+              spellCheck={false}
+            />
+          </label>
+        </div>
+        <div className={styles.optionsRow}>
+          <label className={styles.option}>
+            <input
+              type="checkbox"
+              checked={options.regex}
+              onChange={(e) => setOptions((prev) => ({ ...prev, regex: e.target.checked }))}
+            />
+            Regular expression
+          </label>
+          <label className={styles.option}>
+            <input
+              type="checkbox"
+              checked={options.caseSensitive}
+              onChange={(e) => setOptions((prev) => ({ ...prev, caseSensitive: e.target.checked }))}
+            />
+            Match case
+          </label>
+          <label className={styles.option} title="Skip tags, attributes, comments, scripts and styles">
+            <input
+              type="checkbox"
+              checked={options.textOnly}
+              onChange={(e) => setOptions((prev) => ({ ...prev, textOnly: e.target.checked }))}
+            />
+            Text only, not markup
+          </label>
+          <button
+            type="submit"
+            className={styles.primaryBtn}
+            disabled={!options.query || patternError !== null || busy !== null}
+          >
+            <Icons.Search size={16} />
+            {busy === 'searching' ? 'Searching...' : 'Find'}
+          </button>
+        </div>
+        {patternError && <div className={styles.error}>{patternError}</div>}
+      </form>
+
+      {error && <div className={styles.error}>{error}</div>}
+
+      {outcome && (
+        <div className={failures.length > 0 ? styles.error : styles.success}>
+          Replaced {countLabel(replacedCount, 'match', 'matches')} in{' '}
+          {countLabel(outcome.filter((r) => r.replaced > 0).length, 'file', 'files')}.
+          {failures.map((failure) => (
+            <div key={failure.path}>
+              Skipped {failure.path}: {failure.error}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {results && search && (
+        <div className={styles.results}>
+          <div className={styles.resultsBar}>
+            <span>
+              {countLabel(matchCount, 'match', 'matches')} in {countLabel(results.length, 'file', 'files')} for <code>{search.options.query}</code>
+            </span>
+            {stale && <span className={styles.stale}>The form has changed; find again to update the preview.</span>}
+            <div className={styles.resultsActions}>
+              <button className={styles.linkBtn} onClick={() => setSelected(allKeys(results))}>
+                Select all
+              </button>
+              <button className={styles.linkBtn} onClick={() => setSelected(new Set())}>
+                Select none
+              </button>
+              <button
+                className={styles.primaryBtn}
+                onClick={handleReplace}
+                disabled={selected.size === 0 || busy !== null}
+              >
+                <Icons.Replace size={16} />
+                {busy === 'replacing' ? 'Replacing...' : `Replace ${selected.size} selected`}
+              </button>
+            </div>
+          </div>
+
+          {results.length === 0 && <div className={styles.muted}>No matches.</div>}
+
+          {results.map((file) => {
+            const keys = file.matches.map((match) => matchKey(file.path, match))
+            const selectedInFile = keys.filter((key) => selected.has(key)).length
+            return (
+              <div key={file.path} className={styles.file}>
+                <div className={styles.fileHeader}>
+                  <input
+                    type="checkbox"
+                    checked={selectedInFile === keys.length}
+                    ref={(el) => {
+                      if (el) el.indeterminate = selectedInFile > 0 && selectedInFile < keys.length
+                    }}
+                    onChange={(e) => toggle(keys, e.target.checked)}
+                    aria-label={`Select all matches in ${file.label}`}
+                  />
+                  <Link href={file.href} className={styles.fileLabel}>
+                    {file.label}
+                  </Link>
+                  <span className={styles.filePath}>{file.path}</span>
+                  <span className={styles.count}>{file.matches.length}</span>
+                </div>
+                <ul className={styles.matches}>
+                  {file.matches.map((match) => {
+                    const key = matchKey(file.path, match)
+                    return (
+                      <li key={key}>
+                        <label className={styles.match}>
+                          <input
+                            type="checkbox"
+                            checked={selected.has(key)}
+                            onChange={(e) => toggle([key], e.target.checked)}
+                          />
+                          <span className={styles.position}>
+                            {match.line}:{match.column}
+                          </span>
+                          <code className={styles.context}>
+                            {match.before}
+                            <del>{match.text}</del>
+                            <ins>{match.replacement}</ins>
+                            {match.after}
+                          </code>
+                        </label>
+                      </li>
+                    )
+                  })}
+                </ul>
+              </div>
+            )
+          })}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,202 @@
+'use client'
+
+import { ApiError } from '@/lib/api/client'
+import { fetchHistory, fetchSnapshot, saveContentFile } from '@/lib/content/client'
+import type { ContentFile, HistoryEntry } from '@/lib/content/types'
+import * as Icons from 'lucide-react'
+import { useEffect, useRef, useState } from 'react'
+import DiffView from './DiffView'
+import styles from './HistoryPanel.module.css'
+
+interface HistoryPanelProps {
+  file: ContentFile
+  onRestored: (file: ContentFile) => void
+}
+
+// Compare-select value for the file as it is loaded now, rather than a snapshot
+const WORKING = 'working'
+
+function formatSavedAt(savedAt: string): string {
+  return new Date(savedAt).toLocaleString()
+}
+
+function describeError(err: unknown): string {
+  if (err instanceof ApiError && err.code === 'CONTENT_CONFLICT') {
+    return `${err.message}. Reload to pick up the latest version, then try again.`
+  }
+  if (err instanceof Error) return err.message
+  return 'Failed to load history'
+}
+
+export default function HistoryPanel({ file, onRestored }: HistoryPanelProps) {
+  const [entries, setEntries] = useState<HistoryEntry[] | null>(null)
+  // Snapshot contents by id, fetched as they are compared or restored
+  const [contents, setContents] = useState<Record<string, string>>({})
+  const [fromId, setFromId] = useState(WORKING)
+  const [toId, setToId] = useState(WORKING)
+  const [restoring, setRestoring] = useState<string | null>(null)
+  const [error, setError] = useState<string | null>(null)
+  const [shownPath, setShownPath] = useState(file.path)
+
+  // Reset while rendering, not in an effect, so no effect ever sees the previous file's snapshot
+  // ids with the new path; the new history picks what to compare once it has loaded
+  if (shownPath !== file.path) {
+    setShownPath(file.path)
+    setEntries(null)
+    setContents({})
+    setFromId(WORKING)
+    setToId(WORKING)
+    setError(null)
+  }
+
+  useEffect(() => {
+    let cancelled = false
+    fetchHistory(file.path)
+      .then((loaded) => {
+        if (cancelled) return
+        setEntries(loaded)
+        // Start from what changed in the latest save
+        const previous = loaded.find((entry) => !entry.current)
+        setFromId(previous?.id ?? WORKING)
+        setToId(WORKING)
+      })
+      .catch((err) => {
+        console.error(`Error loading history of ${file.path}:`, err)
+        if (!cancelled) setError(describeError(err))
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [file.path, file.version])
+
+  const loadSnapshot = async (id: string): Promise<string> => {
+    if (contents[id] !== undefined) return contents[id]
+    const snapshot = await fetchSnapshot(file.path, id)
+    setContents((prev) => ({ ...prev, [snapshot.id]: snapshot.content }))
+    return snapshot.content
+  }
+
+  // Snapshots being fetched for the file shown. Replaced when the panel moves to another
+  // file, which also cancels the answers still due for the previous one
+  const requests = useRef({ pending: new Set<string>(), cancelled: false })
+
+  useEffect(() => {
+    const current = { pending: new Set<string>(), cancelled: false }
+    requests.current = current
+    return () => {
+      current.cancelled = true
+    }
+  }, [file.path])
+
+  useEffect(() => {
+    const current = requests.current
+    for (const id of new Set([fromId, toId])) {
+      if (id === WORKING || contents[id] !== undefined || current.pending.has(id)) continue
+      current.pending.add(id)
+      fetchSnapshot(file.path, id)
+        .then((snapshot) => {
+          if (!current.cancelled) setContents((prev) => ({ ...prev, [snapshot.id]: snapshot.content }))
+        })
+        .catch((err) => {
+          console.error(`Error loading version ${id} of ${file.path}:`, err)
+          if (!current.cancelled) setError(describeError(err))
+        })
+        .finally(() => current.pending.delete(id))
+    }
+  }, [file.path, fromId, toId, contents])
+
+  const contentOf = (id: string): string | undefined => (id === WORKING ? file.content : contents[id])
+
+  const labelOf = (id: string): string => {
+    if (id === WORKING) return 'Current file'
+    const entry = entries?.find((e) => e.id === id)
+    return entry ? formatSavedAt(entry.savedAt) : id
+  }
+
+  const handleRestore = async (entry: HistoryEntry) => {
+    setRestoring(entry.id)
+    setError(null)
+    try {
+      const content = await loadSnapshot(entry.id)
+      onRestored(await saveContentFile(file.path, content, file.version))
+    } catch (err) {
+      if (!(err instanceof ApiError)) console.error(`Error restoring ${file.path}:`, err)
+      setError(describeError(err))
+    } finally {
+      setRestoring(null)
+    }
+  }
+
+  const before = contentOf(fromId)
+  const after = contentOf(toId)
+
+  const versionSelect = (value: string, onChange: (id: string) => void) => (
+    <select value={value} onChange={(e) => onChange(e.target.value)}>
+      <option value={WORKING}>Current file</option>
+      {entries?.map((entry) => (
+        <option key={entry.id} value={entry.id}>
+          {formatSavedAt(entry.savedAt)}
+          {entry.current ? ' (current)' : ''}
+        </option>
+      ))}
+    </select>
+  )
+
+  return (
+    <div className={styles.panel}>
+      {error && <div className={styles.error}>{error}</div>}
+      {!entries && !error && <div className={styles.muted}>Loading history...</div>}
+      {entries && entries.length === 0 && (
+        <div className={styles.muted}>No saved versions yet. Every save from the admin records one.</div>
+      )}
+
+      {entries && entries.length > 0 && (
+        <>
+          <ul className={styles.versions}>
+            {entries.map((entry) => (
+              <li key={entry.id} className={styles.version}>
+                <span className={styles.savedAt}>{formatSavedAt(entry.savedAt)}</span>
+                <span className={styles.meta}>{entry.size.toLocaleString()} chars</span>
+                {entry.current && <span className={styles.currentTag}>current</span>}
+                <div className={styles.actions}>
+                  <button
+                    className={styles.actionBtn}
+                    onClick={() => {
+                      setFromId(entry.id)
+                      setToId(WORKING)
+                    }}
+                    title="Compare with the current file"
+                  >
+                    <Icons.GitCompare size={14} />
+                    Compare
+                  </button>
+                  <button
+                    className={styles.actionBtn}
+                    onClick={() => handleRestore(entry)}
+                    disabled={entry.current || restoring !== null}
+                    title="Save this version as the current file"
+                  >
+                    <Icons.RotateCcw size={14} />
+                    {restoring === entry.id ? 'Restoring...' : 'Restore'}
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+
+          <div className={styles.compareBar}>
+            <span>Compare</span>
+            {versionSelect(fromId, setFromId)}
+            <span>with</span>
+            {versionSelect(toId, setToId)}
+          </div>
+          {before !== undefined && after !== undefined ? (
+            <DiffView before={before} after={after} beforeLabel={labelOf(fromId)} afterLabel={labelOf(toId)} />
+          ) : (
+            <div className={styles.muted}>Loading versions...</div>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,136 @@
+'use client'
+
+import { ApiError } from '@/lib/api/client'
+import { createProduct } from '@/lib/content/client'
+import { allProducts, productHref } from '@/lib/content/navigation'
+import { slugify } from '@/lib/content/text'
+import * as Icons from 'lucide-react'
+import { useRouter } from 'next/navigation'
+import { useState } from 'react'
+import { useContentRegistry } from './ContentRegistryProvider'
+import { confirmLeave } from './useUnsavedChangesWarning'
+import styles from './NewProductDialog.module.css'
+
+// Select values that stand for "type a new brand" and "start from the component templates"
+const NEW_BRAND = ''
+const FROM_TEMPLATES = ''
+
+interface NewProductDialogProps {
+  onClose: () => void
+}
+
+export default function NewProductDialog({ onClose }: NewProductDialogProps) {
+  const router = useRouter()
+  const { registry, refresh } = useContentRegistry()
+  const brands = registry?.brands ?? []
+  const products = registry ? allProducts(registry).filter((p) => !p.manifestError) : []
+  const [brandId, setBrandId] = useState(brands[0]?.id ?? NEW_BRAND)
+  const [newBrandName, setNewBrandName] = useState('')
+  const [productName, setProductName] = useState('')
+  const [description, setDescription] = useState('')
+  const [seed, setSeed] = useState(FROM_TEMPLATES)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  const brandName = brandId === NEW_BRAND ? newBrandName : (brands.find((b) => b.id === brandId)?.name ?? '')
+  // Existing brands keep their folder, which need not match their name
+  const brandFolder = brandId === NEW_BRAND ? slugify(brandName) : brandId
+  const folder = `${brandFolder || '…'}/${slugify(productName) || '…'}`
+
+  const handleSubmit = async (event: React.FormEvent) => {
+    event.preventDefault()
+    // The new product is opened once created
+    if (!confirmLeave()) return
+    setSaving(true)
+    setError(null)
+    try {
+      const source = products.find((p) => `${p.brand}/${p.id}` === seed)
+      const created = await createProduct({
+        brandName,
+        brand: brandId === NEW_BRAND ? undefined : brandId,
+        productName,
+        description,
+        seed: source ? { brand: source.brand, product: source.id } : null,
+      })
+      await refresh()
+      onClose()
+      router.push(productHref(created))
+    } catch (err) {
+      if (!(err instanceof ApiError)) console.error('Error creating product:', err)
+      setError(err instanceof Error ? err.message : 'Failed to create product')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className={styles.backdrop} onClick={onClose}>
+      <form
+        className={styles.dialog}
+        onSubmit={handleSubmit}
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-labelledby="new-product-title"
+      >
+        <h3 id="new-product-title">New product</h3>
+
+        <label className={styles.field}>
+          <span>Brand</span>
+          <select value={brandId} onChange={(e) => setBrandId(e.target.value)}>
+            {brands.map((brand) => (
+              <option key={brand.id} value={brand.id}>
+                {brand.name}
+              </option>
+            ))}
+            <option value={NEW_BRAND}>New brand…</option>
+          </select>
+        </label>
+        {brandId === NEW_BRAND && (
+          <label className={styles.field}>
+            <span>Brand name</span>
+            <input value={newBrandName} onChange={(e) => setNewBrandName(e.target.value)} required autoFocus />
+          </label>
+        )}
+        <label className={styles.field}>
+          <span>Product name</span>
+          <input
+            value={productName}
+            onChange={(e) => setProductName(e.target.value)}
+            required
+            autoFocus={brandId !== NEW_BRAND}
+          />
+        </label>
+        <label className={styles.field}>
+          <span>Description</span>
+          <input value={description} onChange={(e) => setDescription(e.target.value)} />
+        </label>
+        <label className={styles.field}>
+          <span>Start from</span>
+          <select value={seed} onChange={(e) => setSeed(e.target.value)}>
+            <option value={FROM_TEMPLATES}>Component templates</option>
+            {products.map((product) => (
+              <option key={`${product.brand}/${product.id}`} value={`${product.brand}/${product.id}`}>
+                Copy of {product.displayName}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <p className={styles.hint}>
+          Creates <code>content-types/extended-product/{folder}/</code> as a draft.
+        </p>
+        {error && <div className={styles.error}>{error}</div>}
+
+        <div className={styles.actions}>
+          <button type="button" className={styles.actionBtn} onClick={onClose} disabled={saving}>
+            Cancel
+          </button>
+          <button type="submit" className={`${styles.actionBtn} ${styles.primary}`} disabled={saving}>
+            <Icons.Plus size={16} />
+            {saving ? 'Creating...' : 'Create product'}
+          </button>
+        </div>
+      </form>
+    </div>
+  )
+}
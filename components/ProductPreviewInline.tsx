@@ -1,68 +1,109 @@
 'use client'
 
+import { fetchContentFile } from '@/lib/content/client'
+import { exportSnippet } from '@/lib/content/exportPipeline'
+import { componentFormat, componentHtml } from '@/lib/content/markdown'
+import type { ViewMode } from '@/lib/content/navigation'
+import { SPECIFICATIONS_COMPONENT } from '@/lib/content/specifications'
+import type { ContentFile, ContentProduct } from '@/lib/content/types'
 import * as Icons from 'lucide-react'
 import { useEffect, useState } from 'react'
+import CopyModeToggle from './CopyModeToggle'
+import CopyNotice from './CopyNotice'
+import DiffView from './DiffView'
+import DraftNotice from './DraftNotice'
+import DuplicateProductForm from './DuplicateProductForm'
+import ExportPanel from './ExportPanel'
+import HistoryPanel from './HistoryPanel'
+import ShopifyExportPanel from './ShopifyExportPanel'
+import SnippetEditor from './SnippetEditor'
+import SpecificationsEditor from './SpecificationsEditor'
+import { isChangedSinceCopy, useCopyStatuses } from './useCopyStatuses'
+import { useClipboardCopy } from './useClipboardCopy'
+import { useExportOptions } from './useExportOptions'
+import { useTailwindCss } from './useTailwindCss'
 import styles from './ProductPreviewInline.module.css'
 
-// Preload specifications on mount - moved outside to avoid dependency issues
-let preloadedProduct = ''
-
 interface ProductPreviewInlineProps {
-  product: string
+  product: ContentProduct
   title: string
   description: string
+  expandedComponentId: string | null
+  expandedViewMode: ViewMode
+  // Opens the expanded component in the editor straight away
+  editOnOpen?: boolean
+  onNavigate: (componentId: string | null, view?: ViewMode) => void
 }
 
-interface Component {
-  id: string
-  label: string
-  path: string
-}
+export default function ProductPreviewInline({
+  product,
+  title,
+  description,
+  expandedComponentId,
+  expandedViewMode,
+  editOnOpen = false,
+  onNavigate,
+}: ProductPreviewInlineProps) {
+  const [componentFiles, setComponentFiles] = useState<Record<string, ContentFile>>({})
+  const [loading, setLoading] = useState<Record<string, boolean>>({})
+  const [editing, setEditing] = useState<Record<string, boolean>>(
+    editOnOpen && expandedComponentId ? { [expandedComponentId]: true } : {}
+  )
+  // Components open in the structured specifications editor, which replaces the rendered view
+  const [editingSpecs, setEditingSpecs] = useState<Record<string, boolean>>({})
+  const [showingHistory, setShowingHistory] = useState<Record<string, boolean>>({})
+  const [showingCopyDiff, setShowingCopyDiff] = useState<Record<string, boolean>>({})
+  const [showingExport, setShowingExport] = useState<Record<string, boolean>>({})
+  // The form or panel opened from the header buttons
+  const [headerPanel, setHeaderPanel] = useState<'duplicate' | 'shopify' | null>(null)
+  // View modes of collapsed components; the expanded component's mode lives in the URL
+  const [viewMode, setViewMode] = useState<Record<string, ViewMode>>({})
+  const { components } = product
+  const { statuses: copyStatuses, markCopied } = useCopyStatuses(components.map((c) => c.path))
+  const { options: exportOptions, setOptions: setExportOptions } = useExportOptions('component')
+  const clipboard = useClipboardCopy()
 
-const productComponents: Record<string, Component[]> = {
-  braaid: [
-    { id: 'specifications', label: 'Specifications', path: '/content-types/extended-product/skeld/braaid/specifications.html' },
-    { id: 'tasting-notes', label: 'Tasting Notes', path: '/content-types/extended-product/skeld/braaid/tasting-notes.html' },
-    { id: 'maker-comments', label: 'Maker Comments', path: '/content-types/extended-product/skeld/braaid/maker-comments.html' },
-    { id: 'origin-story', label: 'Origin Story', path: '/content-types/extended-product/skeld/braaid/origin-story.html' },
-  ],
-  tholtan: [
-    { id: 'specifications', label: 'Specifications', path: '/content-types/extended-product/skeld/tholtan/specifications.html' },
-    { id: 'tasting-notes', label: 'Tasting Notes', path: '/content-types/extended-product/skeld/tholtan/tasting-notes.html' },
-    { id: 'maker-comments', label: 'Maker Comments', path: '/content-types/extended-product/skeld/tholtan/maker-comments.html' },
-    { id: 'origin-story', label: 'Origin Story', path: '/content-types/extended-product/skeld/tholtan/origin-story.html' },
-  ],
-  cashtal: [
-    { id: 'specifications', label: 'Specifications', path: '/content-types/extended-product/skeld/cashtal/specifications.html' },
-    { id: 'tasting-notes', label: 'Tasting Notes', path: '/content-types/extended-product/skeld/cashtal/tasting-notes.html' },
-    { id: 'maker-comments', label: 'Maker Comments', path: '/content-types/extended-product/skeld/cashtal/maker-comments.html' },
-    { id: 'origin-story', label: 'Origin Story', path: '/content-types/extended-product/skeld/cashtal/origin-story.html' },
-  ],
-}
+  // Components whose copy preview is open have their Tailwind CSS compiled ahead of time
+  const tailwind = useTailwindCss(
+    components
+      .filter((c) => (showingExport[c.id] || showingCopyDiff[c.id]) && componentFiles[c.id])
+      .map((c) => componentHtml(c.path, componentFiles[c.id].content)),
+    exportOptions.tailwind
+  )
 
-export default function ProductPreviewInline({ product, title, description }: ProductPreviewInlineProps) {
-  const [componentContent, setComponentContent] = useState<Record<string, string>>({})
-  const [loading, setLoading] = useState<Record<string, boolean>>({})
-  const [copied, setCopied] = useState<Record<string, boolean>>({})
-  const [viewMode, setViewMode] = useState<Record<string, 'rendered' | 'html'>>({})
-  const [expandedComponents, setExpandedComponents] = useState<Record<string, boolean>>({
-    specifications: true,
-    'tasting-notes': false,
-    'maker-comments': false,
-    'origin-story': false,
-  })
+  const clipboardHtml = (file: ContentFile): string => {
+    const html = componentHtml(file.path, file.content)
+    return exportSnippet(html, exportOptions, tailwind.compiledFor(html)).html
+  }
+
+  const viewModeFor = (componentId: string): ViewMode =>
+    componentId === expandedComponentId ? expandedViewMode : viewMode[componentId] || 'rendered'
 
-  const components = productComponents[product] || []
+  const changeViewMode = (componentId: string, mode: ViewMode) => {
+    if (componentId === expandedComponentId) {
+      onNavigate(componentId, mode)
+    } else {
+      setViewMode((prev) => ({ ...prev, [componentId]: mode }))
+    }
+  }
+
+  // Only one component is expanded at a time: opening one closes the others
+  const toggleExpanded = (componentId: string) => {
+    if (componentId === expandedComponentId) {
+      setViewMode((prev) => ({ ...prev, [componentId]: expandedViewMode }))
+      onNavigate(null)
+    } else {
+      onNavigate(componentId, viewModeFor(componentId))
+    }
+  }
 
-  const loadComponent = async (componentId: string, path: string) => {
-    if (componentContent[componentId]) return
+  const loadComponent = async (componentId: string, path: string, force = false) => {
+    if (componentFiles[componentId] && !force) return
 
     setLoading((prev) => ({ ...prev, [componentId]: true }))
     try {
-      const response = await fetch(path)
-      if (!response.ok) throw new Error(`Failed to load ${componentId}`)
-      const html = await response.text()
-      setComponentContent((prev) => ({ ...prev, [componentId]: html }))
+      const file = await fetchContentFile(path)
+      setComponentFiles((prev) => ({ ...prev, [componentId]: file }))
     } catch (err) {
       console.error(`Error loading ${componentId}:`, err)
     } finally {
@@ -70,40 +111,72 @@ export default function ProductPreviewInline({ product, title, description }: Pr
     }
   }
 
-  // Preload specifications on mount
+  // Load the expanded component as soon as the route opens it
   useEffect(() => {
-    if (components.length > 0) {
-      const specComponent = components.find((c) => c.id === 'specifications')
-      if (specComponent && !componentContent[specComponent.id]) {
-        loadComponent(specComponent.id, specComponent.path)
-      }
+    const expanded = components.find((c) => c.id === expandedComponentId)
+    if (expanded && !componentFiles[expanded.id]) {
+      loadComponent(expanded.id, expanded.path)
     }
-  }, [product, componentContent])
+  }, [expandedComponentId, componentFiles])
 
-  const handleCopy = async (componentId: string) => {
-    const html = componentContent[componentId]
-    if (!html) return
+  // Editing happens in the HTML view of the expanded component; Markdown is edited as its source
+  const startEditing = (componentId: string) => {
+    setEditing((prev) => ({ ...prev, [componentId]: true }))
+    if (componentId !== expandedComponentId || expandedViewMode !== 'html') {
+      onNavigate(componentId, 'html')
+    }
+  }
 
-    try {
-      const parser = new DOMParser()
-      const doc = parser.parseFromString(html, 'text/html')
-      const contentDiv = doc.querySelector('div')
-      let contentToCopy = html
-
-      if (contentDiv) {
-        contentToCopy = contentDiv.innerHTML
-      }
-
-      await navigator.clipboard.writeText(contentToCopy)
-      setCopied((prev) => ({ ...prev, [componentId]: true }))
-      setTimeout(() => {
-        setCopied((prev) => ({ ...prev, [componentId]: false }))
-      }, 2000)
-    } catch (err) {
-      console.error(`Error copying ${componentId}:`, err)
+  const stopEditing = (componentId: string) => {
+    setEditing((prev) => ({ ...prev, [componentId]: false }))
+    setEditingSpecs((prev) => ({ ...prev, [componentId]: false }))
+  }
+
+  const startEditingSpecs = (componentId: string) => {
+    setEditingSpecs((prev) => ({ ...prev, [componentId]: true }))
+    if (componentId !== expandedComponentId || expandedViewMode !== 'rendered') {
+      onNavigate(componentId, 'rendered')
     }
   }
 
+  const isEditing = (componentId: string): boolean => Boolean(editing[componentId] || editingSpecs[componentId])
+
+  const handleSaved = (componentId: string, file: ContentFile) => {
+    setComponentFiles((prev) => ({ ...prev, [componentId]: file }))
+    stopEditing(componentId)
+  }
+
+  const toggleHistory = (componentId: string) => {
+    setShowingHistory((prev) => ({ ...prev, [componentId]: !prev[componentId] }))
+    if (componentId !== expandedComponentId) onNavigate(componentId, viewModeFor(componentId))
+  }
+
+  const toggleCopyDiff = (componentId: string) => {
+    setShowingCopyDiff((prev) => ({ ...prev, [componentId]: !prev[componentId] }))
+    if (componentId !== expandedComponentId) onNavigate(componentId, viewModeFor(componentId))
+  }
+
+  const toggleHeaderPanel = (panel: 'duplicate' | 'shopify') => {
+    setHeaderPanel((prev) => (prev === panel ? null : panel))
+  }
+
+  const toggleExport = (componentId: string) => {
+    setShowingExport((prev) => ({ ...prev, [componentId]: !prev[componentId] }))
+    if (componentId !== expandedComponentId) onNavigate(componentId, viewModeFor(componentId))
+  }
+
+  const handleCopy = async (componentId: string) => {
+    const file = componentFiles[componentId]
+    if (!file?.content) return
+
+    const copiedHtml = await clipboard.copy(async () => {
+      const html = componentHtml(file.path, file.content)
+      const compiled = exportOptions.tailwind ? { css: await tailwind.compile(html) } : undefined
+      return exportSnippet(html, exportOptions, compiled).html
+    }, componentId)
+    if (copiedHtml !== null) markCopied(file, copiedHtml)
+  }
+
   return (
     <div>
       <div className={styles.header}>
@@ -111,104 +184,263 @@ export default function ProductPreviewInline({ product, title, description }: Pr
           <h2 style={{ margin: '0 0 8px 0', fontSize: '24px', fontWeight: 700 }}>{title}</h2>
           <p style={{ margin: 0, color: 'var(--text-secondary)', fontSize: '14px' }}>{description}</p>
         </div>
+        <div className={styles.headerActions}>
+          <button
+            className={`${styles.headerBtn} ${headerPanel === 'shopify' ? styles.open : ''}`}
+            onClick={() => toggleHeaderPanel('shopify')}
+            disabled={Boolean(product.manifestError)}
+            title="Export as Shopify sections and metafields"
+          >
+            <Icons.Store size={16} />
+            Shopify
+          </button>
+          <button
+            className={`${styles.headerBtn} ${headerPanel === 'duplicate' ? styles.open : ''}`}
+            onClick={() => toggleHeaderPanel('duplicate')}
+            disabled={Boolean(product.manifestError)}
+            title="Duplicate product"
+          >
+            <Icons.CopyPlus size={16} />
+            Duplicate
+          </button>
+        </div>
       </div>
 
+      {headerPanel === 'duplicate' && (
+        <DuplicateProductForm product={product} onCancel={() => setHeaderPanel(null)} />
+      )}
+      {headerPanel === 'shopify' && <ShopifyExportPanel product={product} onClose={() => setHeaderPanel(null)} />}
+
+      {product.manifestError && (
+        <div className={styles.error}>
+          <div style={{ display: 'flex', alignItems: 'flex-start', gap: '12px' }}>
+            <Icons.AlertCircle size={20} style={{ flexShrink: 0, marginTop: '2px' }} />
+            <div>
+              <strong>Invalid product manifest</strong>
+              <p style={{ margin: '8px 0 0 0', fontSize: '13px', lineHeight: '1.5' }}>{product.manifestError}</p>
+            </div>
+          </div>
+        </div>
+      )}
+
       <div className={styles.preview}>
-        {components.map((component) => (
-          <div
-            key={component.id}
-            className={`${styles.componentWrapper} ${expandedComponents[component.id] ? styles.expanded : styles.collapsed}`}
-            onMouseEnter={() => loadComponent(component.id, component.path)}
-          >
-            <div className={styles.componentHeader}>
-              <button
-                className={styles.headerButton}
-                onClick={() => {
-                  // If clicking an already open component, close it
-                  // Otherwise, close all and open this one
-                  if (expandedComponents[component.id]) {
-                    setExpandedComponents((prev) => ({
-                      ...prev,
-                      [component.id]: false,
-                    }))
-                  } else {
-                    // Close all components
-                    const newState: Record<string, boolean> = {}
-                    components.forEach((c) => {
-                      newState[c.id] = false
-                    })
-                    // Open only this component
-                    newState[component.id] = true
-                    setExpandedComponents(newState)
-                  }
-                }}
-              >
-                <div className={styles.headerContent}>
-                  <Icons.ChevronDown
-                    size={20}
-                    className={styles.chevron}
-                    style={{
-                      transform: expandedComponents[component.id] ? 'rotate(0deg)' : 'rotate(-90deg)',
-                    }}
-                  />
-                  <span className={styles.componentLabel}>{component.label}</span>
-                </div>
-              </button>
-              <div className={styles.headerActions}>
-                <div className={styles.viewToggle}>
+        {components.map((component) => {
+          const copyStatus = copyStatuses[component.path]
+          const markdown = componentFormat(component.path) === 'markdown'
+          return (
+            <div
+              key={component.id}
+              className={`${styles.componentWrapper} ${component.id === expandedComponentId ? styles.expanded : styles.collapsed}`}
+              onMouseEnter={() => loadComponent(component.id, component.path)}
+            >
+              <div className={styles.componentHeader}>
+                <button className={styles.headerButton} onClick={() => toggleExpanded(component.id)}>
+                  <div className={styles.headerContent}>
+                    <Icons.ChevronDown
+                      size={20}
+                      className={styles.chevron}
+                      style={{
+                        transform: component.id === expandedComponentId ? 'rotate(0deg)' : 'rotate(-90deg)',
+                      }}
+                    />
+                    <span className={styles.componentLabel}>{component.label}</span>
+                    {markdown && (
+                      <span className={styles.formatBadge} title="Authored in Markdown; compiled to HTML">
+                        Markdown
+                      </span>
+                    )}
+                    {copyStatus && isChangedSinceCopy(copyStatus, componentFiles[component.id]) && (
+                      <span
+                        className={styles.changedBadge}
+                        title={`Last copied ${new Date(copyStatus.copiedAt).toLocaleString()}`}
+                      >
+                        Changed since last copy
+                      </span>
+                    )}
+                  </div>
+                </button>
+                <div className={styles.headerActions}>
+                  <div className={styles.viewToggle}>
+                    <button
+                      className={`${styles.viewBtn} ${viewModeFor(component.id) === 'rendered' ? styles.active : ''}`}
+                      onClick={() => changeViewMode(component.id, 'rendered')}
+                      disabled={isEditing(component.id)}
+                      title="Show rendered view"
+                    >
+                      <Icons.Eye size={16} />
+                    </button>
+                    <button
+                      className={`${styles.viewBtn} ${viewModeFor(component.id) === 'html' ? styles.active : ''}`}
+                      onClick={() => changeViewMode(component.id, 'html')}
+                      disabled={isEditing(component.id)}
+                      title={markdown ? 'Show compiled HTML' : 'Show HTML source'}
+                    >
+                      <Icons.Code size={16} />
+                    </button>
+                    <button
+                      className={`${styles.viewBtn} ${viewModeFor(component.id) === 'split' ? styles.active : ''}`}
+                      onClick={() => changeViewMode(component.id, 'split')}
+                      disabled={isEditing(component.id)}
+                      title="Edit with live preview"
+                    >
+                      <Icons.Columns2 size={16} />
+                    </button>
+                  </div>
+                  <button
+                    className={`${styles.editIconBtn} ${editing[component.id] ? styles.editing : ''}`}
+                    onClick={() => startEditing(component.id)}
+                    disabled={
+                      loading[component.id] ||
+                      !componentFiles[component.id] ||
+                      isEditing(component.id) ||
+                      viewModeFor(component.id) === 'split'
+                    }
+                    title={markdown ? 'Edit component Markdown' : 'Edit component HTML'}
+                  >
+                    <Icons.Pencil size={18} />
+                  </button>
+                  {component.id === SPECIFICATIONS_COMPONENT && !markdown && (
+                    <button
+                      className={`${styles.editIconBtn} ${editingSpecs[component.id] ? styles.editing : ''}`}
+                      onClick={() => startEditingSpecs(component.id)}
+                      disabled={loading[component.id] || !componentFiles[component.id] || isEditing(component.id)}
+                      title="Edit specifications as rows"
+                    >
+                      <Icons.ListChecks size={18} />
+                    </button>
+                  )}
                   <button
-                    className={`${styles.viewBtn} ${(viewMode[component.id] || 'rendered') === 'rendered' ? styles.active : ''}`}
-                    onClick={() => setViewMode((prev) => ({ ...prev, [component.id]: 'rendered' }))}
-                    title="Show rendered view"
+                    className={`${styles.historyIconBtn} ${showingHistory[component.id] ? styles.open : ''}`}
+                    onClick={() => toggleHistory(component.id)}
+                    disabled={loading[component.id] || !componentFiles[component.id]}
+                    title={showingHistory[component.id] ? 'Hide version history' : 'Show version history'}
                   >
-                    <Icons.Eye size={16} />
+                    <Icons.History size={18} />
                   </button>
                   <button
-                    className={`${styles.viewBtn} ${(viewMode[component.id] || 'rendered') === 'html' ? styles.active : ''}`}
-                    onClick={() => setViewMode((prev) => ({ ...prev, [component.id]: 'html' }))}
-                    title="Show HTML source"
+                    className={`${styles.historyIconBtn} ${showingCopyDiff[component.id] ? styles.open : ''}`}
+                    onClick={() => toggleCopyDiff(component.id)}
+                    disabled={!copyStatus || !componentFiles[component.id]}
+                    title={
+                      copyStatus
+                        ? 'Compare with what was last copied to Shopify'
+                        : 'Not copied to Shopify yet'
+                    }
                   >
-                    <Icons.Code size={16} />
+                    <Icons.GitCompare size={18} />
+                  </button>
+                  <button
+                    className={`${styles.historyIconBtn} ${showingExport[component.id] ? styles.open : ''}`}
+                    onClick={() => toggleExport(component.id)}
+                    disabled={loading[component.id] || !componentFiles[component.id]}
+                    title={showingExport[component.id] ? 'Hide export steps' : 'Export steps and clipboard preview'}
+                  >
+                    <Icons.SlidersHorizontal size={18} />
+                  </button>
+                  <CopyModeToggle mode={clipboard.mode} onChange={clipboard.setMode} />
+                  <button
+                    className={`${styles.copyIconBtn} ${
+                      clipboard.copiedKey === component.id ? styles.copiedSuccess : ''
+                    }`}
+                    onClick={() => handleCopy(component.id)}
+                    disabled={loading[component.id] || !componentFiles[component.id]}
+                    title={clipboard.mode === 'rich' ? 'Copy component as rich content' : 'Copy component HTML'}
+                  >
+                    {clipboard.copiedKey === component.id ? (
+                      <Icons.Check size={18} />
+                    ) : (
+                      <Icons.Copy size={18} />
+                    )}
                   </button>
                 </div>
-                <button
-                  className={`${styles.copyIconBtn} ${copied[component.id] ? styles.copiedSuccess : ''}`}
-                  onClick={() => handleCopy(component.id)}
-                  disabled={loading[component.id] || !componentContent[component.id]}
-                  title="Copy component HTML"
-                >
-                  {copied[component.id] ? (
-                    <Icons.Check size={18} />
-                  ) : (
-                    <Icons.Copy size={18} />
-                  )}
-                </button>
               </div>
-            </div>
-            {expandedComponents[component.id] && (
-              <>
-                {loading[component.id] ? (
-                  <div className={styles.loading}>Loading {component.label}...</div>
-                ) : componentContent[component.id] ? (
-                  (viewMode[component.id] || 'rendered') === 'rendered' ? (
-                    <div
-                      className={styles.componentContent}
-                      dangerouslySetInnerHTML={{ __html: componentContent[component.id] }}
+              <CopyNotice notice={clipboard.noticeFor(component.id)} onDismiss={clipboard.dismissNotice} />
+              {component.id === expandedComponentId && (
+                <>
+                  {showingHistory[component.id] && componentFiles[component.id] && (
+                    <HistoryPanel
+                      file={componentFiles[component.id]}
+                      onRestored={(file) => setComponentFiles((prev) => ({ ...prev, [component.id]: file }))}
                     />
+                  )}
+                  {showingCopyDiff[component.id] && componentFiles[component.id] && copyStatus && (
+                    <div className={styles.copyDiff}>
+                      <DiffView
+                        before={copyStatus.content}
+                        after={clipboardHtml(componentFiles[component.id])}
+                        beforeLabel={`Last copied ${new Date(copyStatus.copiedAt).toLocaleString()}`}
+                        afterLabel="Current"
+                      />
+                    </div>
+                  )}
+                  {showingExport[component.id] && componentFiles[component.id] && (
+                    <div className={styles.copyDiff}>
+                      <ExportPanel
+                        source={componentHtml(component.path, componentFiles[component.id].content)}
+                        target="component"
+                        options={exportOptions}
+                        onChange={setExportOptions}
+                        tailwind={tailwind.compiledFor(
+                          componentHtml(component.path, componentFiles[component.id].content)
+                        )}
+                        previewClassName={styles.componentContent}
+                      />
+                    </div>
+                  )}
+                  {componentFiles[component.id] && !isEditing(component.id) && viewModeFor(component.id) !== 'split' && (
+                    <DraftNotice file={componentFiles[component.id]} onResume={() => startEditing(component.id)} />
+                  )}
+                  {loading[component.id] ? (
+                    <div className={styles.loading}>Loading {component.label}...</div>
+                  ) : componentFiles[component.id] ? (
+                    editingSpecs[component.id] && viewModeFor(component.id) === 'rendered' ? (
+                      <SpecificationsEditor
+                        key={componentFiles[component.id].version}
+                        file={componentFiles[component.id]}
+                        previewClassName={styles.componentContent}
+                        onSaved={(file) => handleSaved(component.id, file)}
+                        onCancel={() => stopEditing(component.id)}
+                        onReload={() => loadComponent(component.id, component.path, true)}
+                      />
+                    ) : editing[component.id] && viewModeFor(component.id) === 'html' ? (
+                      <SnippetEditor
+                        key={componentFiles[component.id].version}
+                        file={componentFiles[component.id]}
+                        onSaved={(file) => handleSaved(component.id, file)}
+                        onCancel={() => stopEditing(component.id)}
+                        onReload={() => loadComponent(component.id, component.path, true)}
+                      />
+                    ) : viewModeFor(component.id) === 'split' ? (
+                      <SnippetEditor
+                        key={componentFiles[component.id].version}
+                        file={componentFiles[component.id]}
+                        layout="split"
+                        previewClassName={styles.componentContent}
+                        onSaved={(file) => handleSaved(component.id, file)}
+                        onReload={() => loadComponent(component.id, component.path, true)}
+                      />
+                    ) : viewModeFor(component.id) === 'rendered' ? (
+                      <div
+                        className={styles.componentContent}
+                        dangerouslySetInnerHTML={{
+                          __html: componentHtml(component.path, componentFiles[component.id].content),
+                        }}
+                      />
+                    ) : (
+                      <pre className={styles.htmlView}>
+                        <code>{componentHtml(component.path, componentFiles[component.id].content)}</code>
+                      </pre>
+                    )
                   ) : (
-                    <pre className={styles.htmlView}>
-                      <code>{componentContent[component.id]}</code>
-                    </pre>
-                  )
-                ) : (
-                  <div className={styles.placeholder} onClick={() => loadComponent(component.id, component.path)}>
-                    <div className={styles.placeholderText}>{component.label}</div>
-                  </div>
-                )}
-              </>
-            )}
-          </div>
-        ))}
+                    <div className={styles.placeholder} onClick={() => loadComponent(component.id, component.path)}>
+                      <div className={styles.placeholderText}>{component.label}</div>
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          )
+        })}
       </div>
     </div>
   )
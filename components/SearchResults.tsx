@@ -0,0 +1,70 @@
+'use client'
+
+import { fetchSearchIndex } from '@/lib/content/client'
+import { searchDocuments, type HighlightSegment } from '@/lib/content/search'
+import type { SearchDocument } from '@/lib/content/types'
+import Link from 'next/link'
+import { useEffect, useMemo, useState } from 'react'
+import styles from './SearchResults.module.css'
+
+interface SearchResultsProps {
+  query: string
+  onNavigate: () => void
+}
+
+function Highlighted({ segments }: { segments: HighlightSegment[] }) {
+  return (
+    <>
+      {segments.map((segment, index) =>
+        segment.highlight ? <mark key={index}>{segment.text}</mark> : <span key={index}>{segment.text}</span>
+      )}
+    </>
+  )
+}
+
+/** Sidebar search results; the index is fetched when a search starts, so it includes recent saves. */
+export default function SearchResults({ query, onNavigate }: SearchResultsProps) {
+  const [documents, setDocuments] = useState<SearchDocument[] | null>(null)
+  const [error, setError] = useState<string | null>(null)
+
+  useEffect(() => {
+    let cancelled = false
+    fetchSearchIndex()
+      .then((loaded) => {
+        if (!cancelled) setDocuments(loaded)
+      })
+      .catch((err) => {
+        console.error('Error loading the search index:', err)
+        if (!cancelled) setError(err instanceof Error ? err.message : 'Failed to load the search index')
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  const hits = useMemo(() => (documents ? searchDocuments(documents, query) : []), [documents, query])
+
+  if (error) return <div className={styles.message}>{error}</div>
+  if (!documents) return <div className={styles.message}>Loading search index...</div>
+  if (hits.length === 0) return <div className={styles.message}>No results for “{query.trim()}”</div>
+
+  return (
+    <ul className={styles.results}>
+      {hits.map((hit) => (
+        <li key={hit.document.href}>
+          <Link href={hit.document.href} className={styles.result} onClick={onNavigate}>
+            <span className={styles.title}>
+              <Highlighted segments={hit.title} />
+            </span>
+            <span className={styles.context}>{hit.document.context}</span>
+            {hit.snippet.length > 0 && (
+              <span className={styles.snippet}>
+                <Highlighted segments={hit.snippet} />
+              </span>
+            )}
+          </Link>
+        </li>
+      ))}
+    </ul>
+  )
+}
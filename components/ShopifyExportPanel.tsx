@@ -0,0 +1,95 @@
+'use client'
+
+import { ApiError } from '@/lib/api/client'
+import { downloadProductShopifyExport, downloadShopifyBundle } from '@/lib/content/client'
+import { METAFIELD_RULES } from '@/lib/content/manifest'
+import { metafieldsFileName, sectionFileName } from '@/lib/content/shopify'
+import type { ContentProduct } from '@/lib/content/types'
+import * as Icons from 'lucide-react'
+import { useState } from 'react'
+import styles from './ShopifyExportPanel.module.css'
+
+interface ShopifyExportPanelProps {
+  product: ContentProduct
+  onClose: () => void
+}
+
+export default function ShopifyExportPanel({ product, onClose }: ShopifyExportPanelProps) {
+  const [downloading, setDownloading] = useState<'product' | 'bundle' | null>(null)
+  const [error, setError] = useState<string | null>(null)
+
+  const download = async (which: 'product' | 'bundle') => {
+    setDownloading(which)
+    setError(null)
+    try {
+      if (which === 'product') await downloadProductShopifyExport(product.brand, product.id)
+      else await downloadShopifyBundle()
+    } catch (err) {
+      if (!(err instanceof ApiError)) console.error('Error exporting for Shopify:', err)
+      setError(err instanceof Error ? err.message : 'Failed to export for Shopify')
+    } finally {
+      setDownloading(null)
+    }
+  }
+
+  return (
+    <div className={styles.panel}>
+      <p className={styles.hint}>
+        Each component becomes a theme section for product templates, and a product metafield holding the same
+        HTML, for themes that output <code>{'{{ product.metafields.<namespace>.<key> }}'}</code>.
+      </p>
+      <table className={styles.files}>
+        <thead>
+          <tr>
+            <th>Component</th>
+            <th>Section</th>
+            <th>Metafield</th>
+          </tr>
+        </thead>
+        <tbody>
+          {product.components.map((component) => (
+            <tr key={component.id}>
+              <td>{component.label}</td>
+              <td>
+                <code>{sectionFileName(product, component.id)}</code>
+              </td>
+              <td>
+                <code>{component.metafield}</code>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className={styles.hint}>
+        The metafields are listed in <code>{metafieldsFileName(product)}</code>. To use another namespace or key,
+        set <code>&quot;metafield&quot;: &quot;namespace.key&quot;</code> on the component in <code>product.json</code>,
+        with {METAFIELD_RULES}.
+      </p>
+      {error && <div className={styles.error}>{error}</div>}
+      <div className={styles.actions}>
+        <button type="button" className={styles.actionBtn} onClick={onClose}>
+          Close
+        </button>
+        <button
+          type="button"
+          className={styles.actionBtn}
+          onClick={() => download('bundle')}
+          disabled={downloading !== null}
+          title="Every product that is not archived"
+        >
+          <Icons.Archive size={16} />
+          {downloading === 'bundle' ? 'Exporting...' : 'Download all products'}
+        </button>
+        <button
+          type="button"
+          className={`${styles.actionBtn} ${styles.primary}`}
+          onClick={() => download('product')}
+          disabled={downloading !== null}
+        >
+          <Icons.Download size={16} />
+          {downloading === 'product' ? 'Exporting...' : 'Download product'}
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,262 @@
+'use client'
+
+import { ApiError } from '@/lib/api/client'
+import { saveContentFile } from '@/lib/content/client'
+import { clearDraft, loadDraft, storeDraft, type StoredDraft } from '@/lib/content/drafts'
+import { componentFormat, markdownToHtml } from '@/lib/content/markdown'
+import type { ContentFile } from '@/lib/content/types'
+import { redo, redoDepth, undo, undoDepth } from '@codemirror/commands'
+import type { EditorView } from '@uiw/react-codemirror'
+import * as Icons from 'lucide-react'
+import { useEffect, useState } from 'react'
+import CodeEditor from './CodeEditor'
+import { useUnsavedChangesWarning } from './useUnsavedChangesWarning'
+import styles from './SnippetEditor.module.css'
+
+// Delay between the last keystroke and re-rendering the live preview
+const PREVIEW_DEBOUNCE_MS = 300
+
+interface SnippetEditorProps {
+  file: ContentFile
+  // 'split' shows a live rendered preview beside the source
+  layout?: 'source' | 'split'
+  // Applied to the live preview so it matches the host's rendered view
+  previewClassName?: string
+  onSaved: (file: ContentFile) => void
+  // Leaves the editor; without it the button reverts the draft instead
+  onCancel?: () => void
+  // Discards the draft and reloads the file from disk
+  onReload: () => void
+}
+
+/**
+ * Mirrors the scroll position of each pane onto the other, proportionally to its
+ * scrollable height, since source lines and rendered blocks have no 1:1 mapping.
+ */
+function useSyncedScroll(a: HTMLElement | null, b: HTMLElement | null) {
+  useEffect(() => {
+    if (!a || !b) return
+
+    // Pane whose next scroll event was caused by us and must not be echoed back
+    let syncing: HTMLElement | null = null
+    const mirror = (from: HTMLElement, to: HTMLElement) => () => {
+      if (syncing === from) return
+      const range = from.scrollHeight - from.clientHeight
+      const ratio = range > 0 ? from.scrollTop / range : 0
+      syncing = to
+      to.scrollTop = ratio * (to.scrollHeight - to.clientHeight)
+      requestAnimationFrame(() => {
+        syncing = null
+      })
+    }
+
+    const fromA = mirror(a, b)
+    const fromB = mirror(b, a)
+    a.addEventListener('scroll', fromA, { passive: true })
+    b.addEventListener('scroll', fromB, { passive: true })
+    return () => {
+      a.removeEventListener('scroll', fromA)
+      b.removeEventListener('scroll', fromB)
+    }
+  }, [a, b])
+}
+
+export default function SnippetEditor({
+  file,
+  layout = 'source',
+  previewClassName = '',
+  onSaved,
+  onCancel,
+  onReload,
+}: SnippetEditorProps) {
+  const [draft, setDraft] = useState(file.content)
+  const [preview, setPreview] = useState(file.content)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+  const [conflict, setConflict] = useState<string | null>(null)
+  const [editorView, setEditorView] = useState<EditorView | null>(null)
+  const [previewPane, setPreviewPane] = useState<HTMLDivElement | null>(null)
+  // A draft left from an earlier session, offered until it is restored or discarded
+  const [storedDraft, setStoredDraft] = useState<StoredDraft | null>(() => {
+    const stored = loadDraft(file.path)
+    return stored && stored.content !== file.content ? stored : null
+  })
+
+  const dirty = draft !== file.content
+  const format = componentFormat(file.path)
+
+  // Autosave every change, and drop the draft once it matches the file again. A stored
+  // draft still waiting for an answer is left alone so it cannot be overwritten.
+  useEffect(() => {
+    if (storedDraft) return
+    if (dirty) {
+      storeDraft(file.path, draft, file.version)
+    } else {
+      clearDraft(file.path)
+    }
+  }, [draft, dirty, file.path, file.version, storedDraft])
+
+  useUnsavedChangesWarning(
+    dirty,
+    `You have unsaved changes to ${file.path}. They are kept as a draft you can restore later. Leave anyway?`
+  )
+
+  useEffect(() => {
+    if (layout !== 'split') return
+    const timer = setTimeout(() => setPreview(draft), PREVIEW_DEBOUNCE_MS)
+    return () => clearTimeout(timer)
+  }, [draft, layout])
+
+  useSyncedScroll(layout === 'split' ? (editorView?.scrollDOM ?? null) : null, previewPane)
+
+  // Read on every render: each undo, redo or edit changes the draft and re-renders
+  const canUndo = editorView ? undoDepth(editorView.state) > 0 : false
+  const canRedo = editorView ? redoDepth(editorView.state) > 0 : false
+
+  const runHistoryCommand = (command: typeof undo) => {
+    if (!editorView) return
+    command(editorView)
+    editorView.focus()
+  }
+
+  const restoreStoredDraft = () => {
+    if (!storedDraft) return
+    setDraft(storedDraft.content)
+    setStoredDraft(null)
+  }
+
+  const discardStoredDraft = () => {
+    clearDraft(file.path)
+    setStoredDraft(null)
+  }
+
+  const cancel = () => {
+    clearDraft(file.path)
+    onCancel?.()
+  }
+
+  const save = async (overwrite = false) => {
+    setSaving(true)
+    setError(null)
+    try {
+      const saved = await saveContentFile(file.path, draft, file.version, overwrite)
+      clearDraft(file.path)
+      setConflict(null)
+      onSaved(saved)
+    } catch (err) {
+      if (err instanceof ApiError && err.code === 'CONTENT_CONFLICT') {
+        setConflict(err.message)
+      } else {
+        console.error(`Error saving ${file.path}:`, err)
+        setError(err instanceof Error ? err.message : 'Failed to save')
+      }
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className={styles.editorPanel}>
+      <div className={styles.toolbar}>
+        <span className={styles.filePath}>{file.path}</span>
+        <div className={styles.actions}>
+          <button
+            className={styles.actionBtn}
+            onClick={() => runHistoryCommand(undo)}
+            disabled={saving || !canUndo}
+            title="Undo (Ctrl+Z)"
+          >
+            <Icons.Undo size={16} />
+          </button>
+          <button
+            className={styles.actionBtn}
+            onClick={() => runHistoryCommand(redo)}
+            disabled={saving || !canRedo}
+            title="Redo (Ctrl+Shift+Z)"
+          >
+            <Icons.Redo size={16} />
+          </button>
+          {onCancel ? (
+            <button className={styles.actionBtn} onClick={cancel} disabled={saving} title="Discard changes">
+              <Icons.X size={16} />
+              Cancel
+            </button>
+          ) : (
+            <button
+              className={styles.actionBtn}
+              onClick={() => setDraft(file.content)}
+              disabled={saving || !dirty}
+              title="Discard changes"
+            >
+              <Icons.Undo2 size={16} />
+              Revert
+            </button>
+          )}
+          <button
+            className={`${styles.actionBtn} ${styles.primary}`}
+            onClick={() => save()}
+            disabled={saving || !dirty}
+            title="Save to disk"
+          >
+            <Icons.Save size={16} />
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </div>
+
+      {storedDraft && (
+        <div className={styles.draftPrompt}>
+          <Icons.FileClock size={18} style={{ flexShrink: 0 }} />
+          <span>
+            You have an unsaved draft of this file
+            {storedDraft.savedAt && ` from ${new Date(storedDraft.savedAt).toLocaleString()}`}.
+            {storedDraft.baseVersion !== file.version &&
+              ' The file has been saved since, so check the draft before saving it over those changes.'}
+          </span>
+          <button className={styles.actionBtn} onClick={restoreStoredDraft}>
+            Restore draft
+          </button>
+          <button className={styles.actionBtn} onClick={discardStoredDraft}>
+            Discard
+          </button>
+        </div>
+      )}
+
+      {conflict && (
+        <div className={styles.conflict}>
+          <Icons.AlertTriangle size={18} style={{ flexShrink: 0 }} />
+          <span>{conflict}. Reload to see the latest version (your edits will be lost) or overwrite it.</span>
+          <button className={styles.actionBtn} onClick={onReload} disabled={saving}>
+            <Icons.RotateCcw size={14} />
+            Reload
+          </button>
+          <button className={`${styles.actionBtn} ${styles.danger}`} onClick={() => save(true)} disabled={saving}>
+            Overwrite
+          </button>
+        </div>
+      )}
+      {error && <div className={styles.error}>{error}</div>}
+
+      {layout === 'split' ? (
+        <div className={styles.split}>
+          <div className={styles.sourcePane}>
+            <CodeEditor
+              value={draft}
+              onChange={setDraft}
+              height="100%"
+              language={format}
+              onCreateEditor={setEditorView}
+            />
+          </div>
+          <div
+            ref={setPreviewPane}
+            className={`${styles.previewPane} ${previewClassName}`}
+            dangerouslySetInnerHTML={{ __html: format === 'markdown' ? markdownToHtml(preview) : preview }}
+          />
+        </div>
+      ) : (
+        <CodeEditor value={draft} onChange={setDraft} language={format} onCreateEditor={setEditorView} />
+      )}
+    </div>
+  )
+}
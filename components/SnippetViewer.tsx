@@ -1,7 +1,14 @@
 'use client'
 
+import { exportSnippet } from '@/lib/content/exportPipeline'
 import * as Icons from 'lucide-react'
 import { useEffect, useState } from 'react'
+import CopyModeToggle from './CopyModeToggle'
+import CopyNotice from './CopyNotice'
+import ExportPanel from './ExportPanel'
+import { useClipboardCopy } from './useClipboardCopy'
+import { useExportOptions } from './useExportOptions'
+import { useTailwindCss } from './useTailwindCss'
 import styles from './SnippetViewer.module.css'
 
 interface SnippetViewerProps {
@@ -22,8 +29,12 @@ export default function SnippetViewer({
   const [code, setCode] = useState('')
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState<string | null>(null)
-  const [copied, setCopied] = useState(false)
   const [viewMode, setViewMode] = useState<'rendered' | 'html'>('rendered')
+  const [showingExport, setShowingExport] = useState(false)
+  const exportTarget = view === 'main' ? 'page' : 'component'
+  const { options: exportOptions, setOptions: setExportOptions } = useExportOptions(exportTarget)
+  const clipboard = useClipboardCopy()
+  const tailwind = useTailwindCss(showingExport ? [code] : [], exportOptions.tailwind)
 
   useEffect(() => {
     const loadSnippet = async () => {
@@ -68,34 +79,11 @@ export default function SnippetViewer({
     loadSnippet()
   }, [contentType, view, template])
 
-  const handleCopy = async () => {
-    try {
-      // Extract inner content only (skip the details wrapper and summary)
-      const parser = new DOMParser()
-      const doc = parser.parseFromString(code, 'text/html')
-      
-      // Get the content div inside details (skip the summary/header)
-      const detailsElement = doc.querySelector('details')
-      let contentToCopy = code
-      
-      if (detailsElement) {
-        // Find the content div (first div after summary)
-        const contentDiv = detailsElement.querySelector('details > div')
-        if (contentDiv) {
-          contentToCopy = contentDiv.innerHTML
-        }
-      }
-      
-      await navigator.clipboard.writeText(contentToCopy)
-      setCopied(true)
-      setTimeout(() => setCopied(false), 2000)
-    } catch (err) {
-      const errorMessage = err instanceof Error ? err.message : 'Failed to copy to clipboard'
-      console.error('Copy to clipboard failed:', { error: err })
-      setError(`Copy failed: ${errorMessage}`)
-      setTimeout(() => setError(null), 3000)
-    }
-  }
+  const handleCopy = () =>
+    clipboard.copy(async () => {
+      const compiled = exportOptions.tailwind ? { css: await tailwind.compile(code) } : undefined
+      return exportSnippet(code, exportOptions, compiled).html
+    })
 
   return (
     <div>
@@ -126,27 +114,50 @@ export default function SnippetViewer({
               HTML
             </button>
           </div>
-          <button
-            className={`${styles.copyBtn} ${copied ? styles.success : ''}`}
-            onClick={handleCopy}
-            disabled={loading || !!error}
-          >
-            {copied ? (
-              <>
-                <Icons.Check size={16} />
-                Copied!
-              </>
-            ) : (
-              <>
-                <Icons.Copy size={16} />
-                Copy to Clipboard
-              </>
-            )}
-          </button>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <button
+              className={`${styles.viewToggle} ${showingExport ? styles.active : ''}`}
+              onClick={() => setShowingExport(!showingExport)}
+              disabled={loading || !!error}
+              title="Export steps and clipboard preview"
+            >
+              <Icons.SlidersHorizontal size={16} />
+              Export
+            </button>
+            <CopyModeToggle mode={clipboard.mode} onChange={clipboard.setMode} disabled={loading || !!error} />
+            <button
+              className={`${styles.copyBtn} ${clipboard.copiedKey === '' ? styles.success : ''}`}
+              onClick={handleCopy}
+              disabled={loading || !!error}
+            >
+              {clipboard.copiedKey === '' ? (
+                <>
+                  <Icons.Check size={16} />
+                  Copied!
+                </>
+              ) : (
+                <>
+                  <Icons.Copy size={16} />
+                  Copy to Clipboard
+                </>
+              )}
+            </button>
+          </div>
         </div>
 
         <div className={styles.container}>
+          <CopyNotice notice={clipboard.noticeFor()} onDismiss={clipboard.dismissNotice} />
           {loading && <div className={styles.loading}>Loading snippet...</div>}
+          {!loading && !error && showingExport && (
+            <ExportPanel
+              source={code}
+              target={exportTarget}
+              options={exportOptions}
+              onChange={setExportOptions}
+              tailwind={tailwind.compiledFor(code)}
+              previewClassName={styles.renderedView}
+            />
+          )}
           {error && (
             <div className={styles.error}>
               <div style={{ display: 'flex', alignItems: 'flex-start', gap: '12px' }}>
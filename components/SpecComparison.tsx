@@ -0,0 +1,220 @@
+'use client'
+
+import { fetchContentFile } from '@/lib/content/client'
+import { componentHtml } from '@/lib/content/markdown'
+import { allProducts, productHref } from '@/lib/content/navigation'
+import {
+  compareSpecifications,
+  comparisonHtml,
+  parseSpecifications,
+  SPECIFICATIONS_COMPONENT,
+  type SpecRow,
+} from '@/lib/content/specifications'
+import type { ContentProduct } from '@/lib/content/types'
+import * as Icons from 'lucide-react'
+import Link from 'next/link'
+import { useEffect, useMemo, useState } from 'react'
+import { useContentRegistry } from './ContentRegistryProvider'
+import CopyNotice from './CopyNotice'
+import { useClipboardCopy } from './useClipboardCopy'
+import styles from './SpecComparison.module.css'
+
+// A product's parsed spec list, or why it could not be read
+type LoadedSpecs = { rows: SpecRow[]; error: null } | { rows: null; error: string }
+
+function productKey(product: Pick<ContentProduct, 'brand' | 'id'>): string {
+  return `${product.brand}/${product.id}`
+}
+
+export default function SpecComparison() {
+  const { registry } = useContentRegistry()
+  const [brand, setBrand] = useState('')
+  const [specs, setSpecs] = useState<Record<string, LoadedSpecs>>({})
+  // Products left out of the exported snippet
+  const [excluded, setExcluded] = useState<Set<string>>(new Set())
+  const [exporting, setExporting] = useState(false)
+  const clipboard = useClipboardCopy()
+
+  const products = useMemo(
+    () =>
+      registry
+        ? allProducts(registry).filter((product) => !product.manifestError && (!brand || product.brand === brand))
+        : [],
+    [registry, brand]
+  )
+
+  useEffect(() => {
+    let cancelled = false
+    for (const product of products) {
+      const component = product.components.find((c) => c.id === SPECIFICATIONS_COMPONENT)
+      if (!component) {
+        setSpecs((prev) => ({ ...prev, [productKey(product)]: { rows: null, error: 'No specifications component' } }))
+        continue
+      }
+      fetchContentFile(component.path)
+        .then((file) => {
+          let loaded: LoadedSpecs
+          try {
+            loaded = { rows: parseSpecifications(componentHtml(file.path, file.content)), error: null }
+          } catch (err) {
+            loaded = { rows: null, error: err instanceof Error ? err.message : String(err) }
+          }
+          if (!cancelled) setSpecs((prev) => ({ ...prev, [productKey(product)]: loaded }))
+        })
+        .catch((err) => {
+          console.error(`Error loading ${component.path}:`, err)
+          const error = err instanceof Error ? err.message : 'Failed to load'
+          if (!cancelled) setSpecs((prev) => ({ ...prev, [productKey(product)]: { rows: null, error } }))
+        })
+    }
+    return () => {
+      cancelled = true
+    }
+  }, [products])
+
+  const columns = products.map((product) => ({ product, loaded: specs[productKey(product)] }))
+  const rows = useMemo(
+    () =>
+      compareSpecifications(
+        products.map((product) => ({ label: product.displayName, rows: specs[productKey(product)]?.rows ?? [] }))
+      ),
+    [products, specs]
+  )
+  // Only products whose specs parsed can be compared or exported
+  const comparable = columns.map(({ loaded }) => Boolean(loaded?.rows))
+  const exportColumns = columns
+    .map((_, index) => index)
+    .filter((index) => comparable[index] && !excluded.has(productKey(columns[index].product)))
+  const output = comparisonHtml(products.map((product) => product.displayName), rows, exportColumns)
+
+  const brands = registry?.brands ?? []
+  const loading = columns.some(({ loaded }) => !loaded)
+
+  const toggleExcluded = (key: string) => {
+    setExcluded((prev) => {
+      const next = new Set(prev)
+      if (next.has(key)) next.delete(key)
+      else next.add(key)
+      return next
+    })
+  }
+
+  return (
+    <div>
+      <div className={styles.header}>
+        <h2 style={{ margin: '0 0 8px 0', fontSize: '24px', fontWeight: 700 }}>Specification Comparison</h2>
+        <p style={{ margin: 0, color: 'var(--text-secondary)', fontSize: '14px' }}>
+          Every product&apos;s specifications side by side, one row per key. Export the ticked products as a
+          comparison table for a Shopify collection page.
+        </p>
+      </div>
+
+      <div className={styles.toolbar}>
+        {brands.length > 1 && (
+          <select value={brand} onChange={(e) => setBrand(e.target.value)} aria-label="Brand">
+            <option value="">All brands</option>
+            {brands.map((b) => (
+              <option key={b.id} value={b.id}>
+                {b.name}
+              </option>
+            ))}
+          </select>
+        )}
+        <div className={styles.legend}>
+          <span className={styles.missingSwatch}>Missing</span>
+          <span className={styles.inconsistentSwatch}>Inconsistent key</span>
+        </div>
+        <button
+          className={`${styles.exportBtn} ${exporting ? styles.open : ''}`}
+          onClick={() => setExporting(!exporting)}
+          disabled={exportColumns.length === 0}
+        >
+          <Icons.FileCode size={16} />
+          Export HTML
+        </button>
+      </div>
+
+      {exporting && (
+        <div className={styles.exportPanel}>
+          <div className={styles.exportBar}>
+            <span>
+              {exportColumns.length} of {columns.length} products; untick a column to leave it out
+            </span>
+            <button
+              className={`${styles.copyBtn} ${clipboard.copiedKey === '' ? styles.copiedSuccess : ''}`}
+              onClick={() => clipboard.copy(() => output)}
+              title={clipboard.mode === 'rich' ? 'Copy comparison as rich content' : 'Copy comparison HTML'}
+            >
+              {clipboard.copiedKey === '' ? <Icons.Check size={18} /> : <Icons.Copy size={18} />}
+            </button>
+          </div>
+          <CopyNotice notice={clipboard.noticeFor()} onDismiss={clipboard.dismissNotice} />
+          <div className={styles.exportPreview} dangerouslySetInnerHTML={{ __html: output }} />
+          <pre className={styles.htmlView}>
+            <code>{output}</code>
+          </pre>
+        </div>
+      )}
+
+      {products.length === 0 ? (
+        <div className={styles.muted}>No products to compare.</div>
+      ) : (
+        <div className={styles.tableWrapper}>
+          <table className={styles.table}>
+            <thead>
+              <tr>
+                <th>{loading && <span className={styles.muted}>Loading...</span>}</th>
+                {columns.map(({ product, loaded }, index) => (
+                  <th key={productKey(product)} className={loaded?.error ? styles.unreadable : ''}>
+                    <label className={styles.columnHeader}>
+                      <input
+                        type="checkbox"
+                        checked={comparable[index] && !excluded.has(productKey(product))}
+                        disabled={!comparable[index]}
+                        onChange={() => toggleExcluded(productKey(product))}
+                        aria-label={`Include ${product.displayName} in the export`}
+                      />
+                      <Link href={productHref(product, SPECIFICATIONS_COMPONENT)}>{product.displayName}</Link>
+                    </label>
+                    {loaded?.error && (
+                      <div className={styles.columnError}>
+                        <Icons.AlertTriangle size={12} />
+                        {loaded.error}
+                      </div>
+                    )}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => (
+                <tr key={row.key} className={row.inconsistent ? styles.inconsistent : ''}>
+                  <th
+                    scope="row"
+                    title={row.inconsistent ? `Written as: ${row.spellings.map((s) => `"${s}"`).join(', ')}` : undefined}
+                  >
+                    {row.key}
+                    {!row.standard && <span className={styles.tag}>non-standard</span>}
+                  </th>
+                  {columns.map(({ product }, index) =>
+                    !comparable[index] ? (
+                      <td key={productKey(product)} className={styles.empty}>
+                        —
+                      </td>
+                    ) : row.values[index] === null ? (
+                      <td key={productKey(product)} className={styles.missing}>
+                        Missing
+                      </td>
+                    ) : (
+                      <td key={productKey(product)} dangerouslySetInnerHTML={{ __html: row.values[index] ?? '' }} />
+                    )
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,249 @@
+'use client'
+
+import { ApiError } from '@/lib/api/client'
+import { saveContentFile } from '@/lib/content/client'
+import {
+  parseSpecifications,
+  specificationsHtml,
+  STANDARD_SPEC_KEYS,
+  valueProblem,
+  type SpecRow,
+} from '@/lib/content/specifications'
+import type { ContentFile } from '@/lib/content/types'
+import * as Icons from 'lucide-react'
+import { useId, useMemo, useState } from 'react'
+import { useUnsavedChangesWarning } from './useUnsavedChangesWarning'
+import styles from './SpecificationsEditor.module.css'
+
+interface SpecificationsEditorProps {
+  file: ContentFile
+  // Applied to the preview so it matches the host's rendered view
+  previewClassName?: string
+  onSaved: (file: ContentFile) => void
+  onCancel: () => void
+  // Discards the edits and reloads the file from disk
+  onReload: () => void
+}
+
+function parseRows(content: string): { rows: SpecRow[]; error: string | null } {
+  try {
+    return { rows: parseSpecifications(content), error: null }
+  } catch (err) {
+    return { rows: [], error: err instanceof Error ? err.message : String(err) }
+  }
+}
+
+function standardRows(): SpecRow[] {
+  return STANDARD_SPEC_KEYS.map((key) => ({ key, value: '' }))
+}
+
+/** Edits specifications.html as key/value rows and saves them as the canonical spec list. */
+export default function SpecificationsEditor({
+  file,
+  previewClassName = '',
+  onSaved,
+  onCancel,
+  onReload,
+}: SpecificationsEditorProps) {
+  const keyListId = useId()
+  const parsed = useMemo(() => parseRows(file.content), [file.content])
+  const [rows, setRows] = useState<SpecRow[]>(parsed.rows)
+  // Set once the user chooses to replace a file that could not be parsed
+  const [replacing, setReplacing] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+  const [conflict, setConflict] = useState<string | null>(null)
+
+  const output = specificationsHtml(rows)
+  // The file as it would be written without any edits; differs from it when it is not canonical yet
+  const canonical = useMemo(() => specificationsHtml(parsed.rows), [parsed.rows])
+  const edited = replacing || output !== canonical
+  const usedKeys = rows.map((row) => row.key.trim().toLowerCase())
+  const missingKeys = STANDARD_SPEC_KEYS.filter((key) => !usedKeys.includes(key.toLowerCase()))
+  const valueProblems = rows.map((row) => valueProblem(row.value))
+  const invalid = valueProblems.some((problem) => problem !== null)
+
+  useUnsavedChangesWarning(
+    edited,
+    `You have unsaved changes to ${file.path}. Leave anyway?`
+  )
+
+  const updateRow = (index: number, change: Partial<SpecRow>) => {
+    setRows((prev) => prev.map((row, i) => (i === index ? { ...row, ...change } : row)))
+  }
+
+  const moveRow = (index: number, offset: -1 | 1) => {
+    setRows((prev) => {
+      const next = [...prev]
+      const [row] = next.splice(index, 1)
+      next.splice(index + offset, 0, row)
+      return next
+    })
+  }
+
+  const removeRow = (index: number) => {
+    setRows((prev) => prev.filter((_, i) => i !== index))
+  }
+
+  const addMissingKeys = () => {
+    setRows((prev) => [...prev, ...missingKeys.map((key) => ({ key, value: '' }))])
+  }
+
+  const save = async (overwrite = false) => {
+    setSaving(true)
+    setError(null)
+    try {
+      const saved = await saveContentFile(file.path, output, file.version, overwrite)
+      setConflict(null)
+      onSaved(saved)
+    } catch (err) {
+      if (err instanceof ApiError && err.code === 'CONTENT_CONFLICT') {
+        setConflict(err.message)
+      } else {
+        console.error(`Error saving ${file.path}:`, err)
+        setError(err instanceof Error ? err.message : 'Failed to save')
+      }
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (parsed.error && !replacing) {
+    return (
+      <div className={styles.editorPanel}>
+        <div className={styles.unparsed}>
+          <Icons.AlertTriangle size={18} style={{ flexShrink: 0 }} />
+          <span>
+            This file is not a plain spec list ({parsed.error}), so it cannot be edited as rows. Edit its HTML
+            instead, or replace it with a new list of the standard keys.
+          </span>
+          <button
+            className={styles.actionBtn}
+            onClick={() => {
+              setRows(standardRows())
+              setReplacing(true)
+            }}
+          >
+            Start a new list
+          </button>
+          <button className={styles.actionBtn} onClick={onCancel}>
+            Cancel
+          </button>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className={styles.editorPanel}>
+      <div className={styles.toolbar}>
+        <span className={styles.filePath}>{file.path}</span>
+        <div className={styles.actions}>
+          <button className={styles.actionBtn} onClick={onCancel} disabled={saving} title="Discard changes">
+            <Icons.X size={16} />
+            Cancel
+          </button>
+          <button
+            className={`${styles.actionBtn} ${styles.primary}`}
+            onClick={() => save()}
+            disabled={saving || invalid || output === file.content}
+            title={invalid ? 'Fix the values marked in red first' : 'Save as the canonical spec list'}
+          >
+            <Icons.Save size={16} />
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </div>
+
+      {!replacing && canonical !== file.content && (
+        <div className={styles.notice}>
+          <Icons.Info size={18} style={{ flexShrink: 0 }} />
+          <span>This file is not in the canonical format yet; saving rewrites it as a plain spec list.</span>
+        </div>
+      )}
+      {replacing && (
+        <div className={styles.unparsed}>
+          <Icons.AlertTriangle size={18} style={{ flexShrink: 0 }} />
+          <span>Saving replaces everything currently in the file with this list.</span>
+        </div>
+      )}
+      {conflict && (
+        <div className={styles.conflict}>
+          <Icons.AlertTriangle size={18} style={{ flexShrink: 0 }} />
+          <span>{conflict}. Reload to see the latest version (your edits will be lost) or overwrite it.</span>
+          <button className={styles.actionBtn} onClick={onReload} disabled={saving}>
+            <Icons.RotateCcw size={14} />
+            Reload
+          </button>
+          <button className={`${styles.actionBtn} ${styles.danger}`} onClick={() => save(true)} disabled={saving}>
+            Overwrite
+          </button>
+        </div>
+      )}
+      {error && <div className={styles.error}>{error}</div>}
+
+      <div className={styles.rows}>
+        <div className={styles.rowHeader}>
+          <span>Key</span>
+          <span>Value (inline HTML such as &lt;em&gt; is kept)</span>
+        </div>
+        {rows.map((row, index) => {
+          const key = row.key.trim().toLowerCase()
+          const duplicate = key !== '' && usedKeys.indexOf(key) !== index
+          const standard = STANDARD_SPEC_KEYS.some((k) => k.toLowerCase() === key)
+          return (
+            <div key={index} className={styles.row}>
+              <input
+                className={duplicate ? styles.invalid : ''}
+                value={row.key}
+                onChange={(e) => updateRow(index, { key: e.target.value })}
+                list={keyListId}
+                placeholder="Key"
+                title={duplicate ? 'This key is used more than once' : standard ? undefined : 'Not a standard key'}
+                aria-label={`Key of row ${index + 1}`}
+              />
+              <input
+                className={valueProblems[index] ? styles.invalid : ''}
+                value={row.value}
+                onChange={(e) => updateRow(index, { value: e.target.value })}
+                placeholder="Value"
+                title={valueProblems[index] ?? undefined}
+                aria-label={`Value of row ${index + 1}`}
+              />
+              <div className={styles.rowActions}>
+                <button onClick={() => moveRow(index, -1)} disabled={index === 0} title="Move up">
+                  <Icons.ArrowUp size={14} />
+                </button>
+                <button onClick={() => moveRow(index, 1)} disabled={index === rows.length - 1} title="Move down">
+                  <Icons.ArrowDown size={14} />
+                </button>
+                <button onClick={() => removeRow(index)} title="Remove row">
+                  <Icons.Trash2 size={14} />
+                </button>
+              </div>
+            </div>
+          )
+        })}
+        <datalist id={keyListId}>
+          {missingKeys.map((key) => (
+            <option key={key} value={key} />
+          ))}
+        </datalist>
+        <div className={styles.addRow}>
+          <button className={styles.actionBtn} onClick={() => setRows((prev) => [...prev, { key: '', value: '' }])}>
+            <Icons.Plus size={14} />
+            Add row
+          </button>
+          {missingKeys.length > 0 && (
+            <button className={styles.actionBtn} onClick={addMissingKeys} title={missingKeys.join(', ')}>
+              <Icons.ListPlus size={14} />
+              Add missing standard keys ({missingKeys.length})
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className={`${styles.preview} ${previewClassName}`} dangerouslySetInnerHTML={{ __html: output }} />
+    </div>
+  )
+}
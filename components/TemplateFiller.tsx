@@ -0,0 +1,280 @@
+'use client'
+
+import { ApiError } from '@/lib/api/client'
+import { insertAnnouncementMarkup } from '@/lib/content/announcements'
+import {
+  addProductComponent,
+  fetchArchivedAnnouncementIds,
+  fetchContentFile,
+  saveContentFile,
+} from '@/lib/content/client'
+import { ANNOUNCEMENTS, EXTENDED_PRODUCT } from '@/lib/content/contentTypes'
+import { allProducts, announcementHref, productHref } from '@/lib/content/navigation'
+import {
+  fillTemplate,
+  parsePlaceholders,
+  placeholderDefaults,
+  type Placeholder,
+  type PlaceholderValues,
+} from '@/lib/content/templates'
+import { slugify } from '@/lib/content/text'
+import type { ContentFile, ContentTemplate } from '@/lib/content/types'
+import * as Icons from 'lucide-react'
+import { useRouter } from 'next/navigation'
+import { useEffect, useMemo, useState } from 'react'
+import { useContentRegistry } from './ContentRegistryProvider'
+import CopyNotice from './CopyNotice'
+import { useClipboardCopy } from './useClipboardCopy'
+import { confirmLeave } from './useUnsavedChangesWarning'
+import styles from './TemplateFiller.module.css'
+
+interface TemplateFillerProps {
+  template: ContentTemplate
+}
+
+function PlaceholderField({
+  field,
+  value,
+  values,
+  onChange,
+}: {
+  field: Placeholder
+  value: string
+  values: PlaceholderValues
+  onChange: (value: string) => void
+}) {
+  switch (field.type) {
+    case 'html':
+      return <textarea rows={5} value={value} onChange={(e) => onChange(e.target.value)} />
+    case 'date':
+      return <input type="date" value={value} onChange={(e) => onChange(e.target.value)} />
+    case 'url':
+      return <input type="url" value={value} onChange={(e) => onChange(e.target.value)} />
+    case 'choice':
+      return (
+        <select value={value} onChange={(e) => onChange(e.target.value)}>
+          {field.options.map((option) => (
+            <option key={option} value={option}>
+              {option}
+            </option>
+          ))}
+        </select>
+      )
+    case 'slug':
+      return (
+        <input
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder={field.source ? slugify(values[field.source] ?? '') : ''}
+        />
+      )
+    default:
+      return <input value={value} onChange={(e) => onChange(e.target.value)} />
+  }
+}
+
+export default function TemplateFiller({ template }: TemplateFillerProps) {
+  const router = useRouter()
+  const { registry, refresh } = useContentRegistry()
+  const [file, setFile] = useState<ContentFile | null>(null)
+  const [values, setValues] = useState<PlaceholderValues>({})
+  const [viewMode, setViewMode] = useState<'rendered' | 'html'>('rendered')
+  const clipboard = useClipboardCopy()
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+  const [targetPage, setTargetPage] = useState('')
+  const [targetProduct, setTargetProduct] = useState('')
+  const [componentId, setComponentId] = useState(template.id)
+  const [componentLabel, setComponentLabel] = useState(template.label)
+
+  useEffect(() => {
+    fetchContentFile(template.path)
+      .then(setFile)
+      .catch((err) => {
+        console.error(`Error loading template ${template.path}:`, err)
+        setError(err instanceof Error ? err.message : 'Failed to load template')
+      })
+  }, [template.path])
+
+  const parsed = useMemo(() => {
+    if (!file) return null
+    try {
+      return { fields: parsePlaceholders(file.content), error: null }
+    } catch (err) {
+      return { fields: [] as Placeholder[], error: err instanceof Error ? err.message : String(err) }
+    }
+  }, [file])
+
+  // Start every field from the defaults the template declares
+  useEffect(() => {
+    if (parsed) setValues(placeholderDefaults(parsed.fields))
+  }, [parsed])
+
+  const output = useMemo(() => {
+    if (!file || !parsed || parsed.error) return ''
+    try {
+      return fillTemplate(file.content, parsed.fields, values)
+    } catch {
+      // An incomplete date while typing; keep showing the template as-is
+      return file.content
+    }
+  }, [file, parsed, values])
+
+  const pages = registry?.announcements ?? []
+  const products = registry ? allProducts(registry).filter((p) => !p.manifestError) : []
+  const productKey = (product: { brand: string; id: string }) => `${product.brand}/${product.id}`
+  const selectedPage = pages.find((p) => p.id === targetPage) ?? pages[0]
+  const selectedProduct = products.find((p) => productKey(p) === targetProduct) ?? products[0]
+
+  // Each action opens what it saved to
+  const save = async (action: () => Promise<string>) => {
+    if (!confirmLeave()) return
+    setSaving(true)
+    setError(null)
+    try {
+      router.push(await action())
+    } catch (err) {
+      if (!(err instanceof ApiError)) console.error('Error saving from template:', err)
+      setError(err instanceof Error ? err.message : 'Failed to save')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const addToPage = () =>
+    save(async () => {
+      const pageFile = await fetchContentFile(selectedPage.path)
+      const archivedIds = await fetchArchivedAnnouncementIds(selectedPage.path)
+      const { content, id } = insertAnnouncementMarkup(pageFile.content, output, archivedIds)
+      await saveContentFile(selectedPage.path, content, pageFile.version)
+      return `${announcementHref(selectedPage)}#${id}`
+    })
+
+  const addToProduct = () =>
+    save(async () => {
+      const component = await addProductComponent(selectedProduct.brand, selectedProduct.id, {
+        id: componentId,
+        label: componentLabel,
+        content: output,
+      })
+      await refresh()
+      return productHref(selectedProduct, component.id)
+    })
+
+  return (
+    <div>
+      <div className={styles.header}>
+        <h2 style={{ margin: '0 0 8px 0', fontSize: '24px', fontWeight: 700 }}>{template.label}</h2>
+        <p style={{ margin: 0, color: 'var(--text-secondary)', fontSize: '14px' }}>
+          Fill in the placeholders to produce a ready-to-copy snippet.
+        </p>
+      </div>
+
+      {error && <div className={styles.error}>{error}</div>}
+      {parsed?.error && <div className={styles.error}>{parsed.error}</div>}
+
+      <div className={styles.layout}>
+        <div className={styles.panel}>
+          <div className={styles.panelTitle}>Placeholders</div>
+          {!file && !error && <div className={styles.muted}>Loading template...</div>}
+          {parsed && parsed.fields.length === 0 && !parsed.error && (
+            <div className={styles.muted}>This template declares no placeholders.</div>
+          )}
+          {parsed?.fields.map((field) => (
+            <label key={field.key} className={styles.field}>
+              <span>
+                {field.label}
+                {field.type === 'slug' && <em> (derived from {field.source ?? 'nothing'} when empty)</em>}
+              </span>
+              <PlaceholderField
+                field={field}
+                value={values[field.key] ?? ''}
+                values={values}
+                onChange={(value) => setValues((prev) => ({ ...prev, [field.key]: value }))}
+              />
+            </label>
+          ))}
+
+          {template.contentType === ANNOUNCEMENTS && selectedPage && (
+            <div className={styles.saveBox}>
+              <div className={styles.panelTitle}>Add to announcements page</div>
+              <select value={selectedPage.id} onChange={(e) => setTargetPage(e.target.value)}>
+                {pages.map((page) => (
+                  <option key={page.id} value={page.id}>
+                    {page.title}
+                  </option>
+                ))}
+              </select>
+              <button className={styles.primaryBtn} onClick={addToPage} disabled={saving || !output}>
+                <Icons.Plus size={16} />
+                {saving ? 'Adding...' : 'Add announcement'}
+              </button>
+            </div>
+          )}
+
+          {template.contentType === EXTENDED_PRODUCT && selectedProduct && (
+            <div className={styles.saveBox}>
+              <div className={styles.panelTitle}>Save as product component</div>
+              <select value={productKey(selectedProduct)} onChange={(e) => setTargetProduct(e.target.value)}>
+                {products.map((product) => (
+                  <option key={productKey(product)} value={productKey(product)}>
+                    {product.displayName}
+                  </option>
+                ))}
+              </select>
+              <label className={styles.field}>
+                <span>Component id</span>
+                <input value={componentId} onChange={(e) => setComponentId(e.target.value)} />
+              </label>
+              <label className={styles.field}>
+                <span>Label</span>
+                <input value={componentLabel} onChange={(e) => setComponentLabel(e.target.value)} />
+              </label>
+              <button className={styles.primaryBtn} onClick={addToProduct} disabled={saving || !output}>
+                <Icons.Save size={16} />
+                {saving ? 'Saving...' : 'Save component'}
+              </button>
+            </div>
+          )}
+        </div>
+
+        <div className={`${styles.panel} ${styles.previewPanel}`}>
+          <div className={styles.previewBar}>
+            <div className={styles.viewToggle}>
+              <button
+                className={`${styles.viewBtn} ${viewMode === 'rendered' ? styles.active : ''}`}
+                onClick={() => setViewMode('rendered')}
+                title="Show rendered view"
+              >
+                <Icons.Eye size={16} />
+              </button>
+              <button
+                className={`${styles.viewBtn} ${viewMode === 'html' ? styles.active : ''}`}
+                onClick={() => setViewMode('html')}
+                title="Show HTML source"
+              >
+                <Icons.Code size={16} />
+              </button>
+            </div>
+            <button
+              className={`${styles.copyBtn} ${clipboard.copiedKey === '' ? styles.copiedSuccess : ''}`}
+              onClick={() => clipboard.copy(() => output)}
+              disabled={!output}
+              title={clipboard.mode === 'rich' ? 'Copy snippet as rich content' : 'Copy snippet'}
+            >
+              {clipboard.copiedKey === '' ? <Icons.Check size={18} /> : <Icons.Copy size={18} />}
+            </button>
+          </div>
+          <CopyNotice notice={clipboard.noticeFor()} onDismiss={clipboard.dismissNotice} />
+          {viewMode === 'rendered' ? (
+            <div className={styles.rendered} dangerouslySetInnerHTML={{ __html: output }} />
+          ) : (
+            <pre className={styles.htmlView}>
+              <code>{output}</code>
+            </pre>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
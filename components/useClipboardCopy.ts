@@ -0,0 +1,74 @@
+'use client'
+
+import {
+  COPY_MODE_CHANGE_EVENT,
+  DEFAULT_COPY_MODE,
+  copyHtml,
+  loadCopyMode,
+  storeCopyMode,
+  type CopyMode,
+} from '@/lib/content/clipboard'
+import { useCallback, useEffect, useRef, useState } from 'react'
+
+export interface CopyNoticeState {
+  // The copy button it belongs to
+  key: string
+  kind: 'fallback' | 'error'
+  message: string
+}
+
+/**
+ * Copies HTML in the copy mode chosen in this browser. Tracks which of a view's copy buttons
+ * just succeeded, told apart by `key`, and keeps a notice when the copy needed the fallback
+ * or failed, for the view to show.
+ */
+export function useClipboardCopy() {
+  const [mode, setModeState] = useState<CopyMode>(DEFAULT_COPY_MODE)
+  const [copiedKey, setCopiedKey] = useState<string | null>(null)
+  const [notice, setNotice] = useState<CopyNoticeState | null>(null)
+  const resetTimer = useRef<ReturnType<typeof setTimeout> | undefined>(undefined)
+
+  // Read after mounting, so the server render and the first client render agree
+  useEffect(() => {
+    const sync = () => setModeState(loadCopyMode())
+    sync()
+    window.addEventListener(COPY_MODE_CHANGE_EVENT, sync)
+    return () => {
+      window.removeEventListener(COPY_MODE_CHANGE_EVENT, sync)
+      clearTimeout(resetTimer.current)
+    }
+  }, [])
+
+  const setMode = useCallback((next: CopyMode) => {
+    setModeState(next)
+    storeCopyMode(next)
+  }, [])
+
+  // Resolves to what was copied, or null when producing or copying it failed
+  const copy = useCallback(
+    async (produce: () => string | Promise<string>, key = ''): Promise<string | null> => {
+      setNotice(null)
+      try {
+        const html = await produce()
+        const { fallbackReason } = await copyHtml(html, mode)
+        if (fallbackReason) {
+          setNotice({ key, kind: 'fallback', message: `Copied with the fallback clipboard method (${fallbackReason})` })
+        }
+        setCopiedKey(key)
+        clearTimeout(resetTimer.current)
+        resetTimer.current = setTimeout(() => setCopiedKey(null), 2000)
+        return html
+      } catch (err) {
+        const message = err instanceof Error ? err.message : 'Could not copy to the clipboard'
+        setNotice({ key, kind: 'error', message })
+        return null
+      }
+    },
+    [mode]
+  )
+
+  const noticeFor = (key = ''): CopyNoticeState | null => (notice?.key === key ? notice : null)
+  const dismissNotice = useCallback(() => setNotice(null), [])
+
+  return { mode, setMode, copy, copiedKey, noticeFor, dismissNotice }
+}
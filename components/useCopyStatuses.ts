@@ -0,0 +1,38 @@
+'use client'
+
+import { fetchCopyStatuses, recordCopy } from '@/lib/content/client'
+import type { ContentFile, CopyStatus } from '@/lib/content/types'
+import { useCallback, useEffect, useState } from 'react'
+
+/**
+ * Whether a file differs from what was last copied to Shopify. Once the file is loaded its
+ * version decides, so saves made on this page show up without asking the server again.
+ */
+export function isChangedSinceCopy(status: CopyStatus, file?: ContentFile | null): boolean {
+  return file ? file.version !== status.sourceVersion : status.changed
+}
+
+/** Loads the last-copy records of `paths` and records new copies as they happen. */
+export function useCopyStatuses(paths: string[]) {
+  const [statuses, setStatuses] = useState<Record<string, CopyStatus | null>>({})
+  const key = paths.join('\n')
+
+  useEffect(() => {
+    if (!key) return
+    fetchCopyStatuses(key.split('\n'))
+      .then(setStatuses)
+      .catch((err) => console.error('Error loading copy records:', err))
+  }, [key])
+
+  const markCopied = useCallback(async (file: ContentFile, copied: string) => {
+    try {
+      const record = await recordCopy(file.path, copied, file.version)
+      setStatuses((prev) => ({ ...prev, [file.path]: { ...record, changed: false } }))
+    } catch (err) {
+      // The copy itself worked; only the record of it is missing
+      console.error(`Error recording copy of ${file.path}:`, err)
+    }
+  }, [])
+
+  return { statuses, markCopied }
+}
@@ -0,0 +1,30 @@
+'use client'
+
+import {
+  DEFAULT_EXPORT_OPTIONS,
+  loadExportOptions,
+  storeExportOptions,
+  type ExportOptions,
+  type ExportTarget,
+} from '@/lib/content/exportPipeline'
+import { useCallback, useEffect, useState } from 'react'
+
+/** The export options of a target, remembered in this browser across pages and reloads. */
+export function useExportOptions(target: ExportTarget) {
+  const [options, setOptionsState] = useState<ExportOptions>(DEFAULT_EXPORT_OPTIONS[target])
+
+  // Read after mounting, so the server render and the first client render agree
+  useEffect(() => {
+    setOptionsState(loadExportOptions(target))
+  }, [target])
+
+  const setOptions = useCallback(
+    (next: ExportOptions) => {
+      setOptionsState(next)
+      storeExportOptions(target, next)
+    },
+    [target]
+  )
+
+  return { options, setOptions }
+}
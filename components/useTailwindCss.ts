@@ -0,0 +1,57 @@
+'use client'
+
+import { compileTailwindCss } from '@/lib/content/client'
+import type { CompiledTailwind } from '@/lib/content/exportPipeline'
+import { useCallback, useEffect, useRef, useState } from 'react'
+
+/**
+ * The Tailwind CSS of snippets for the export pipeline. `sources` are compiled while
+ * `enabled`, for previews; `compile` gets any snippet's CSS, for the copy buttons. Each
+ * snippet is compiled once while it stays unchanged.
+ */
+export function useTailwindCss(sources: string[], enabled: boolean) {
+  const requests = useRef(new Map<string, Promise<string>>())
+  const [compiled, setCompiled] = useState<ReadonlyMap<string, CompiledTailwind>>(new Map())
+
+  const compile = useCallback((html: string): Promise<string> => {
+    let request = requests.current.get(html)
+    if (!request) {
+      request = compileTailwindCss(html)
+      requests.current.set(html, request)
+      // A failed compile is tried again the next time the snippet is needed
+      request.catch(() => requests.current.delete(html))
+    }
+    return request
+  }, [])
+
+  // Joined so that hosts can pass a fresh array each render
+  const sourceKey = sources.join('\uE000')
+
+  useEffect(() => {
+    if (!enabled) return
+    const current = sourceKey ? sourceKey.split('\uE000') : []
+    // Edited snippets are compiled afresh, so earlier versions are dropped
+    for (const html of requests.current.keys()) {
+      if (!current.includes(html)) requests.current.delete(html)
+    }
+
+    let cancelled = false
+    const settle = (html: string, result: CompiledTailwind) => {
+      if (cancelled) return
+      setCompiled((prev) => new Map([...prev].filter(([source]) => current.includes(source))).set(html, result))
+    }
+    for (const html of current) {
+      compile(html).then(
+        (css) => settle(html, { css }),
+        (err) => settle(html, { error: err instanceof Error ? err.message : 'Unknown error' })
+      )
+    }
+    return () => {
+      cancelled = true
+    }
+  }, [sourceKey, enabled, compile])
+
+  const compiledFor = useCallback((html: string) => compiled.get(html), [compiled])
+
+  return { compiledFor, compile }
+}
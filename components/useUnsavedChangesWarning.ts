@@ -0,0 +1,78 @@
+'use client'
+
+import { useEffect } from 'react'
+
+// The warning of every editor that has unsaved changes, so that one navigation asks once
+const dirtyEditors = new Map<object, string>()
+// History entry shown while an editor is dirty, put back when leaving it through back/forward is cancelled
+let currentEntry: { state: unknown; url: string } | null = null
+
+/**
+ * Asks before leaving editors with unsaved changes. In-app navigation that does not go
+ * through a link, such as `router.push`, calls this first; true when it may go ahead.
+ */
+export function confirmLeave(): boolean {
+  const [message] = dirtyEditors.values()
+  return message === undefined || window.confirm(message)
+}
+
+function rememberEntry() {
+  currentEntry = { state: window.history.state, url: window.location.href }
+}
+
+function handleBeforeUnload(event: BeforeUnloadEvent) {
+  event.preventDefault()
+}
+
+// Runs in the capture phase, before Next's <Link> sees the click
+function handleClick(event: MouseEvent) {
+  if (event.defaultPrevented || event.button !== 0) return
+  if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return
+  const anchor = (event.target as Element | null)?.closest?.('a[href]')
+  if (!(anchor instanceof HTMLAnchorElement) || anchor.target === '_blank') return
+  const url = new URL(anchor.href, window.location.href)
+  if (url.origin !== window.location.origin) return
+  if (url.pathname === window.location.pathname && url.search === window.location.search) return
+  if (!confirmLeave()) {
+    event.preventDefault()
+    event.stopPropagation()
+  }
+}
+
+// Back and forward: the URL has already changed when this runs. Capture listeners on window
+// run before Next's own popstate listener, so a cancelled navigation can be kept from it.
+function handlePopState(event: PopStateEvent) {
+  if (confirmLeave()) {
+    rememberEntry()
+    return
+  }
+  event.stopImmediatePropagation()
+  if (currentEntry) window.history.pushState(currentEntry.state, '', currentEntry.url)
+}
+
+/**
+ * While `dirty`, asks before the tab is closed or reloaded, before following an in-app
+ * link, and before going back or forward, which Next.js would otherwise all navigate
+ * without asking. Navigation started from code is guarded with confirmLeave.
+ */
+export function useUnsavedChangesWarning(dirty: boolean, message: string) {
+  useEffect(() => {
+    if (!dirty) return
+
+    const editor = {}
+    if (dirtyEditors.size === 0) {
+      rememberEntry()
+      window.addEventListener('beforeunload', handleBeforeUnload)
+      window.addEventListener('popstate', handlePopState, true)
+      document.addEventListener('click', handleClick, true)
+    }
+    dirtyEditors.set(editor, message)
+    return () => {
+      dirtyEditors.delete(editor)
+      if (dirtyEditors.size > 0) return
+      window.removeEventListener('beforeunload', handleBeforeUnload)
+      window.removeEventListener('popstate', handlePopState, true)
+      document.removeEventListener('click', handleClick, true)
+    }
+  }, [dirty, message])
+}
@@ -0,0 +1,67 @@
+import type { ApiFailure, ApiSuccess } from './responses'
+
+export class ApiError extends Error {
+  code: string
+  status: number
+  details?: string
+
+  constructor(message: string, code: string, status: number, details?: string) {
+    super(message)
+    this.name = 'ApiError'
+    this.code = code
+    this.status = status
+    this.details = details
+  }
+}
+
+/**
+ * Calls one of the app's route handlers and unwraps the canonical response shape,
+ * throwing ApiError for any failure so callers can surface `message` directly.
+ */
+export async function apiRequest<T>(url: string, init?: RequestInit): Promise<T> {
+  const response = await fetch(url, {
+    ...init,
+    headers: { 'Content-Type': 'application/json', ...init?.headers },
+  })
+
+  let body: ApiSuccess<T> | ApiFailure
+  try {
+    body = await response.json()
+  } catch {
+    throw new ApiError(`Unexpected response from ${url} (HTTP ${response.status})`, 'INVALID_RESPONSE', response.status)
+  }
+
+  if (!body.success) {
+    throw new ApiError(body.error, body.code, response.status, body.details)
+  }
+  return body.data
+}
+
+/**
+ * Downloads a file from one of the app's route handlers through the browser. Failures come
+ * back in the canonical JSON shape rather than as the file, and are thrown as ApiError.
+ */
+export async function apiDownload(url: string): Promise<void> {
+  const response = await fetch(url, { cache: 'no-store' })
+  if (!response.ok || response.headers.get('Content-Type')?.includes('application/json')) {
+    let body: ApiFailure | null = null
+    try {
+      body = await response.json()
+    } catch {
+      // Reported below like any other response that is not a file
+    }
+    if (body && body.success === false) {
+      throw new ApiError(body.error, body.code, response.status, body.details)
+    }
+    throw new ApiError(`Unexpected response from ${url} (HTTP ${response.status})`, 'INVALID_RESPONSE', response.status)
+  }
+
+  const fileName = response.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] ?? 'download'
+  const href = URL.createObjectURL(await response.blob())
+  const link = document.createElement('a')
+  link.href = href
+  link.download = fileName
+  link.click()
+  // Revoked on the next task, once the browser has started the download
+  setTimeout(() => URL.revokeObjectURL(href), 0)
+}
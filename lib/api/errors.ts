@@ -0,0 +1,19 @@
+import { ManifestError } from '@/lib/content/manifest'
+import { ContentConflictError, ContentNotFoundError, ContentPathError } from '@/lib/content/store'
+import { jsonError } from './responses'
+
+/**
+ * Maps content-store and manifest errors to their canonical HTTP responses; anything unexpected is
+ * logged and reported as a 500 with `failureMessage`.
+ */
+export function contentErrorResponse(err: unknown, failureMessage: string) {
+  if (err instanceof ContentPathError) return jsonError(400, 'INVALID_CONTENT_PATH', err.message)
+  if (err instanceof ContentNotFoundError) return jsonError(404, 'CONTENT_NOT_FOUND', err.message)
+  if (err instanceof ContentConflictError) return jsonError(409, 'CONTENT_CONFLICT', err.message)
+  if (err instanceof ManifestError) return jsonError(422, 'INVALID_MANIFEST', err.message)
+
+  console.error(`${failureMessage}:`, err)
+  return jsonError(500, 'CONTENT_OPERATION_FAILED', failureMessage, {
+    details: err instanceof Error ? err.message : undefined,
+  })
+}
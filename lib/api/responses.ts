@@ -0,0 +1,49 @@
+import { NextResponse } from 'next/server'
+
+export interface ApiSuccess<T> {
+  data: T
+  success: true
+  timestamp: string
+}
+
+export interface ApiFailure {
+  error: string
+  code: string
+  timestamp: string
+  retryable: boolean
+  success: false
+  details?: string
+}
+
+export function jsonSuccess<T>(data: T, status = 200) {
+  const body: ApiSuccess<T> = { data, success: true, timestamp: new Date().toISOString() }
+  return NextResponse.json(body, { status })
+}
+
+export function jsonError(
+  status: number,
+  code: string,
+  error: string,
+  options: { details?: string } = {}
+) {
+  const body: ApiFailure = {
+    error,
+    code,
+    timestamp: new Date().toISOString(),
+    retryable: status >= 500 || status === 429,
+    success: false,
+    ...(options.details ? { details: options.details } : {}),
+  }
+  return NextResponse.json(body, { status })
+}
+
+/** A file download; failures still use jsonError, so clients can tell them apart by content type. */
+export function fileResponse(data: Uint8Array, fileName: string, contentType: string) {
+  // Typed arrays built in memory are always backed by a plain ArrayBuffer
+  return new NextResponse(data as Uint8Array<ArrayBuffer>, {
+    headers: {
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+    },
+  })
+}
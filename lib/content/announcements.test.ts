@@ -0,0 +1,123 @@
+import { describe, expect, it } from 'vitest'
+import {
+  announcementIds,
+  appendArchivedAnnouncement,
+  archivePathFor,
+  emptyAnnouncementsPage,
+  insertAnnouncement,
+  insertAnnouncementMarkup,
+  moveAnnouncement,
+  parseAnnouncementSections,
+  removeAnnouncement,
+  type AnnouncementDraft,
+} from './announcements'
+
+const EMPTY_PAGE = `<style>
+    .announcement-section { margin: 0; }
+</style>
+<div class="page">
+    <div class="content">
+        <main class="announcements-container">
+        </main>
+    </div>
+</div>
+`
+
+function draft(title: string, date: string): AnnouncementDraft {
+  return { date, banner: 'primary', title, subtitle: '', body: 'Details.', imageUrl: '', imageAlt: '' }
+}
+
+function pageWith(...drafts: AnnouncementDraft[]): string {
+  return drafts.reduce((page, d) => insertAnnouncement(page, d).content, EMPTY_PAGE)
+}
+
+const ids = (page: string) => parseAnnouncementSections(page).map((s) => s.id)
+
+describe('insertAnnouncement', () => {
+  it('keeps sections newest first', () => {
+    const page = pageWith(
+      draft('Spring sale', '2026-03-01'),
+      draft('Summer sale', '2026-06-01'),
+      draft('Old news', '2025-01-01')
+    )
+    expect(ids(page)).toEqual(['summer-sale', 'spring-sale', 'old-news'])
+  })
+
+  it('makes ids unique within the page and the reserved ids', () => {
+    const page = pageWith(draft('Warehouse move', '2026-01-01'))
+    expect(insertAnnouncement(page, draft('Warehouse move', '2026-02-01')).id).toBe('warehouse-move-2')
+    expect(insertAnnouncement(page, draft('Warehouse move', '2026-02-01'), ['warehouse-move-2']).id).toBe(
+      'warehouse-move-3'
+    )
+    expect(insertAnnouncement(EMPTY_PAGE, draft('Warehouse move', '2026-02-01'), ['warehouse-move']).id).toBe(
+      'warehouse-move-2'
+    )
+  })
+
+  it('requires a title', () => {
+    expect(() => insertAnnouncement(EMPTY_PAGE, draft('  ', '2026-01-01'))).toThrow('Title is required')
+  })
+})
+
+describe('insertAnnouncementMarkup', () => {
+  const markup = '<section id="restock" class="announcement-section">\n  <h2>Restock</h2>\n</section>'
+
+  it('re-ids the section around the reserved ids', () => {
+    const { id, content } = insertAnnouncementMarkup(EMPTY_PAGE, markup, ['restock'])
+    expect(id).toBe('restock-2')
+    expect(ids(content)).toEqual(['restock-2'])
+  })
+
+  it('rejects markup without exactly one section', () => {
+    expect(() => insertAnnouncementMarkup(EMPTY_PAGE, `${markup}\n${markup}`)).toThrow('exactly one')
+  })
+})
+
+describe('moveAnnouncement', () => {
+  const page = pageWith(draft('First', '2026-03-01'), draft('Second', '2026-02-01'), draft('Third', '2026-01-01'))
+
+  it('swaps a section with its neighbour', () => {
+    expect(ids(moveAnnouncement(page, 'second', -1))).toEqual(['second', 'first', 'third'])
+    expect(ids(moveAnnouncement(page, 'second', 1))).toEqual(['first', 'third', 'second'])
+  })
+
+  it('leaves the page alone at either end', () => {
+    expect(moveAnnouncement(page, 'first', -1)).toBe(page)
+    expect(moveAnnouncement(page, 'third', 1)).toBe(page)
+  })
+})
+
+describe('archiving', () => {
+  const page = pageWith(draft('Warehouse move complete', '2026-02-01'), draft('Holiday hours', '2025-12-20'))
+  const archive = emptyAnnouncementsPage(page)
+
+  it('puts the archive next to the page', () => {
+    expect(archivePathFor('/content-types/announcements/page.html')).toBe('/content-types/announcements/archive.html')
+  })
+
+  it('moves a removed section into the archive', () => {
+    const { content, section } = removeAnnouncement(page, 'holiday-hours')
+    expect(ids(content)).toEqual(['warehouse-move-complete'])
+    expect(ids(appendArchivedAnnouncement(archive, section))).toEqual(['holiday-hours'])
+  })
+
+  it('does not add the same section twice when archiving is retried', () => {
+    const { section } = removeAnnouncement(page, 'holiday-hours')
+    const once = appendArchivedAnnouncement(archive, section)
+    expect(appendArchivedAnnouncement(once, section)).toBe(once)
+  })
+
+  it('keeps an older archived section that shares the id', () => {
+    const older = pageWith(draft('Warehouse move complete', '2025-10-31'))
+    const archived = appendArchivedAnnouncement(archive, removeAnnouncement(older, 'warehouse-move-complete').section)
+
+    const { section } = removeAnnouncement(page, 'warehouse-move-complete')
+    const result = appendArchivedAnnouncement(archived, section)
+    const sections = parseAnnouncementSections(result)
+    expect(sections.map((s) => [s.id, s.date])).toEqual([
+      ['warehouse-move-complete-2', 'Sunday, February 1, 2026'],
+      ['warehouse-move-complete', 'Friday, October 31, 2025'],
+    ])
+    expect(new Set(announcementIds(result)).size).toBe(announcementIds(result).length)
+  })
+})
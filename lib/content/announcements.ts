@@ -0,0 +1,350 @@
+import { escapeHtml, htmlToText, slugify } from './text'
+
+// Helpers for the hand-written markup in content-types/announcements/page.html.
+// They edit the page as text so everything outside the touched section keeps its formatting.
+
+export type BannerVariant = 'primary' | 'secondary' | 'success' | 'warning' | 'danger'
+
+export const BANNER_VARIANTS: readonly BannerVariant[] = ['primary', 'secondary', 'success', 'warning', 'danger']
+
+const CONTAINER_PATTERN = /<main\s+class="announcements-container"\s*>/
+const CONTAINER_END = '</main>'
+const SECTION_PATTERN = /<section\s+id="([^"]*)"\s+class="announcement-section"\s*>/g
+// Non-global twin of SECTION_PATTERN for single matches
+const SECTION_PATTERN_ONE = /<section\s+id="([^"]*)"\s+class="announcement-section"\s*>/
+const SECTION_END = '</section>'
+const ID_PATTERN = /\sid="([^"]*)"/g
+const DATE_PATTERN = /<div class="announcement-date">([^<]*)<\/div>/
+
+// Sections removed from a page are kept in this file next to it
+export const ARCHIVE_FILE = 'archive.html'
+
+// Sections sit two levels inside <main> in page.html
+const SECTION_INDENT = ' '.repeat(12)
+const INDENT_STEP = ' '.repeat(4)
+
+// Body blocks that already are block-level markup are inserted as-is instead of wrapped in <p>
+const BLOCK_TAG_PATTERN = /^<(p|ul|ol|h[1-6]|div|blockquote|table|figure)[\s>]/i
+
+export class AnnouncementMarkupError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = 'AnnouncementMarkupError'
+  }
+}
+
+export interface AnnouncementDraft {
+  // yyyy-mm-dd, as produced by <input type="date">
+  date: string
+  banner: BannerVariant
+  title: string
+  subtitle: string
+  // Paragraphs separated by blank lines; inline HTML is kept
+  body: string
+  imageUrl: string
+  imageAlt: string
+}
+
+/** Today as yyyy-mm-dd in local time, the value format of <input type="date">. */
+export function todayIsoDate(): string {
+  const now = new Date()
+  const pad = (n: number) => String(n).padStart(2, '0')
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`
+}
+
+/** Formats yyyy-mm-dd the way page.html spells dates: "Thursday, October 31, 2025". */
+export function formatAnnouncementDate(isoDate: string): string {
+  const date = new Date(`${isoDate}T00:00:00Z`)
+  if (Number.isNaN(date.getTime())) {
+    throw new AnnouncementMarkupError(`Invalid date "${isoDate}"`)
+  }
+  return date.toLocaleDateString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC',
+  })
+}
+
+/** The archive that sections removed from the page at `pagePath` go to. */
+export function archivePathFor(pagePath: string): string {
+  return pagePath.replace(/[^/]+$/, ARCHIVE_FILE)
+}
+
+/** Every id attribute in the page, which new sections must not reuse. */
+export function announcementIds(page: string): string[] {
+  return Array.from(page.matchAll(ID_PATTERN), (m) => m[1])
+}
+
+function uniqueId(base: string, taken: Set<string>): string {
+  const slug = base || 'announcement'
+  let id = slug
+  for (let n = 2; taken.has(id); n++) id = `${slug}-${n}`
+  return id
+}
+
+function bodyBlocks(body: string): string[] {
+  return body
+    .split(/\n\s*\n/)
+    .map((block) => block.trim())
+    .filter(Boolean)
+    .map((block) => (BLOCK_TAG_PATTERN.test(block) ? block : `<p>${block.replace(/\n/g, '<br>')}</p>`))
+}
+
+/** Builds a section in the same shape and indentation as the hand-written ones. */
+export function renderAnnouncementSection(draft: AnnouncementDraft, id: string): string {
+  const indent = (level: number) => SECTION_INDENT + INDENT_STEP.repeat(level)
+  const title = escapeHtml(draft.title.trim())
+
+  const banner = [
+    `${indent(2)}<div class="card-banner banner-${draft.banner}">`,
+    `${indent(3)}<h2>${title}</h2>`,
+    ...(draft.subtitle.trim() ? [`${indent(3)}<p>${escapeHtml(draft.subtitle.trim())}</p>`] : []),
+    `${indent(2)}</div>`,
+  ]
+
+  const blocks = bodyBlocks(draft.body)
+  const imageUrl = draft.imageUrl.trim()
+  if (imageUrl) {
+    const alt = escapeHtml(draft.imageAlt.trim())
+    blocks.push(`<div class="mt-6"><img src="${escapeHtml(imageUrl)}" alt="${alt}" class="w-full h-auto rounded-lg"></div>`)
+  } else if (blocks.length && blocks[blocks.length - 1].startsWith('<p>')) {
+    // The last paragraph of a card drops its bottom margin
+    blocks[blocks.length - 1] = blocks[blocks.length - 1].replace(/^<p>/, '<p class="!mb-0">')
+  }
+
+  return [
+    `${SECTION_INDENT}<!-- ${draft.title.trim().replace(/--/g, '–')} -->`,
+    `${SECTION_INDENT}<section id="${id}" class="announcement-section">`,
+    `${indent(1)}<div class="announcement-date">${formatAnnouncementDate(draft.date)}</div>`,
+    `${indent(1)}<div class="announcement-card">`,
+    ...banner,
+    ...blocks.map((block) => block.replace(/^/gm, indent(2))),
+    `${indent(1)}</div>`,
+    `${SECTION_INDENT}</section>`,
+  ].join('\n')
+}
+
+/** Parses "Thursday, October 31, 2025"; the weekday is dropped since not every engine accepts it. */
+export function parseAnnouncementDate(text: string): number | null {
+  const time = Date.parse(text.replace(/^[A-Za-z]+,\s*/, ''))
+  return Number.isNaN(time) ? null : time
+}
+
+export interface AnnouncementSection {
+  id: string
+  // Date as written in the page, or null for undated sections
+  date: string | null
+  time: number | null
+  banner: string | null
+  title: string
+  // Offsets of the section in the page: from the start of its line (including a leading
+  // comment) to just after </section>
+  start: number
+  end: number
+  markup: string
+}
+
+interface ContainerBounds {
+  bodyStart: number
+  bodyEnd: number
+}
+
+function containerBounds(page: string): ContainerBounds {
+  const container = page.match(CONTAINER_PATTERN)
+  if (!container || container.index === undefined) {
+    throw new AnnouncementMarkupError('No <main class="announcements-container"> found in the page')
+  }
+  const bodyStart = container.index + container[0].length
+  const bodyEnd = page.indexOf(CONTAINER_END, bodyStart)
+  if (bodyEnd === -1) throw new AnnouncementMarkupError('The announcements container is never closed')
+  return { bodyStart, bodyEnd }
+}
+
+/** Lists the sections inside the announcements container in page order. */
+export function parseAnnouncementSections(page: string): AnnouncementSection[] {
+  const { bodyStart, bodyEnd } = containerBounds(page)
+  const body = page.slice(bodyStart, bodyEnd)
+
+  return Array.from(body.matchAll(SECTION_PATTERN), (match) => {
+    let start = bodyStart + match.index
+    const comment = page.slice(bodyStart, start).match(/<!--(?:(?!-->)[^])*-->\s*$/)
+    if (comment) start -= comment[0].length
+    start = page.lastIndexOf('\n', start - 1) + 1
+
+    const close = page.indexOf(SECTION_END, bodyStart + match.index)
+    if (close === -1 || close > bodyEnd) {
+      throw new AnnouncementMarkupError(`Section "${match[1]}" is never closed`)
+    }
+    const end = close + SECTION_END.length
+    const markup = page.slice(start, end)
+    const date = markup.match(DATE_PATTERN)?.[1].trim() ?? null
+    const banner = markup.match(/class="card-banner banner-([a-z]+)"/)?.[1] ?? null
+    const heading = markup.match(/<h2[^>]*>([^]*?)<\/h2>/)?.[1]
+
+    return {
+      id: match[1],
+      date,
+      time: date ? parseAnnouncementDate(date) : null,
+      banner,
+      title: heading ? htmlToText(heading) : match[1],
+      start,
+      end,
+      markup,
+    }
+  })
+}
+
+function findSection(page: string, id: string): AnnouncementSection {
+  const section = parseAnnouncementSections(page).find((s) => s.id === id)
+  if (!section) throw new AnnouncementMarkupError(`No announcement with id "${id}"`)
+  return section
+}
+
+/**
+ * Places section markup in the container, newest first: before the first section that
+ * is older or undated, otherwise at the end of the container.
+ */
+function insertSection(page: string, markup: string, time: number | null): string {
+  const { bodyStart, bodyEnd } = containerBounds(page)
+  const next =
+    time === null ? undefined : parseAnnouncementSections(page).find((s) => s.time === null || s.time <= time)
+  if (next) {
+    return `${page.slice(0, next.start)}${markup}\n\n${page.slice(next.start)}`
+  }
+
+  const closingLine = page.lastIndexOf('\n', bodyEnd) + 1
+  const before = page.slice(0, Math.max(closingLine, bodyStart)).replace(/\s*$/, '\n')
+  return `${before}\n${markup}\n\n${page.slice(closingLine)}`
+}
+
+export interface InsertResult {
+  content: string
+  id: string
+}
+
+/**
+ * Adds a new section for `draft` with an id that is unique within the page and not in
+ * `reservedIds`, the ids of its archived sections.
+ */
+export function insertAnnouncement(page: string, draft: AnnouncementDraft, reservedIds: string[] = []): InsertResult {
+  if (!draft.title.trim()) throw new AnnouncementMarkupError('Title is required')
+  containerBounds(page)
+
+  const taken = new Set([...announcementIds(page), ...reservedIds])
+  const id = uniqueId(slugify(draft.title), taken)
+  const time = parseAnnouncementDate(formatAnnouncementDate(draft.date))
+  return { id, content: insertSection(page, renderAnnouncementSection(draft, id), time) }
+}
+
+function dedent(text: string): string {
+  const lines = text.split('\n')
+  const leading = (line: string) => line.length - line.trimStart().length
+  const indent = Math.min(...lines.filter((line) => line.trim()).map(leading))
+  return lines.map((line) => line.slice(Math.min(indent, leading(line)))).join('\n')
+}
+
+/**
+ * Adds ready-made section markup, such as a filled-in template, to the page: it is
+ * re-indented to match, given a leading comment, and its id is made unique within the page
+ * and `reservedIds`, as in insertAnnouncement.
+ */
+export function insertAnnouncementMarkup(page: string, markup: string, reservedIds: string[] = []): InsertResult {
+  const open = markup.search(SECTION_PATTERN_ONE)
+  const close = markup.lastIndexOf(SECTION_END)
+  if (open === -1 || close === -1 || markup.slice(open + 1).search(SECTION_PATTERN_ONE) !== -1) {
+    throw new AnnouncementMarkupError('The snippet must contain exactly one announcement section')
+  }
+  containerBounds(page)
+
+  const section = markup.slice(markup.lastIndexOf('\n', open) + 1, close + SECTION_END.length)
+  const currentId = section.match(SECTION_PATTERN_ONE)?.[1] ?? ''
+  const taken = new Set([...announcementIds(page), ...reservedIds])
+  const id = uniqueId(slugify(currentId), taken)
+
+  const heading = section.match(/<h2[^>]*>([^]*?)<\/h2>/)?.[1]
+  const dateText = section.match(DATE_PATTERN)?.[1]
+  const body = dedent(section)
+    .replace(SECTION_PATTERN_ONE, (tag) => tag.replace(`id="${currentId}"`, `id="${id}"`))
+    .split('\n')
+    .map((line) => (line.trim() ? SECTION_INDENT + line : ''))
+    .join('\n')
+  const comment = `${SECTION_INDENT}<!-- ${(heading ? htmlToText(heading) : id).replace(/--/g, '–')} -->`
+
+  const time = dateText ? parseAnnouncementDate(dateText) : null
+  return { id, content: insertSection(page, `${comment}\n${body}`, time) }
+}
+
+/** Replaces one section; `markup` must be a single complete announcement section. */
+export function replaceAnnouncement(page: string, id: string, markup: string): string {
+  const section = findSection(page, id)
+  const sections = Array.from(markup.matchAll(SECTION_PATTERN))
+  if (sections.length !== 1 || !markup.trimEnd().endsWith(SECTION_END)) {
+    throw new AnnouncementMarkupError('The edited markup must contain exactly one complete announcement section')
+  }
+  return `${page.slice(0, section.start)}${markup.trimEnd()}${page.slice(section.end)}`
+}
+
+export interface RemoveResult {
+  content: string
+  section: AnnouncementSection
+}
+
+/** Cuts a section out of the page along with the blank lines that followed it. */
+export function removeAnnouncement(page: string, id: string): RemoveResult {
+  const section = findSection(page, id)
+  const trailing = page.slice(section.end).match(/^[ \t]*\n(?:[ \t]*\n)*/)?.[0] ?? ''
+  return { section, content: `${page.slice(0, section.start)}${page.slice(section.end + trailing.length)}` }
+}
+
+/** Swaps a section with its neighbour above (-1) or below (1). */
+export function moveAnnouncement(page: string, id: string, direction: -1 | 1): string {
+  const sections = parseAnnouncementSections(page)
+  const index = sections.findIndex((s) => s.id === id)
+  if (index === -1) throw new AnnouncementMarkupError(`No announcement with id "${id}"`)
+  const other = sections[index + direction]
+  if (!other) return page
+
+  const [first, second] = direction === -1 ? [other, sections[index]] : [sections[index], other]
+  return [
+    page.slice(0, first.start),
+    second.markup,
+    page.slice(first.end, second.start),
+    first.markup,
+    page.slice(second.end),
+  ].join('')
+}
+
+/**
+ * Adds a section removed from another page, keeping its markup and date order. The same
+ * section already in the archive, left by an archive whose page save failed, is kept as it
+ * is; a different section with the same id stays too, and the new one gets a unique id.
+ */
+export function appendArchivedAnnouncement(page: string, section: AnnouncementSection): string {
+  const existing = parseAnnouncementSections(page).find((s) => s.id === section.id)
+  if (existing?.markup === section.markup) return page
+  if (!existing) return insertSection(page, section.markup, section.time)
+
+  const id = uniqueId(section.id, new Set(announcementIds(page)))
+  const markup = section.markup.replace(SECTION_PATTERN_ONE, (tag) => tag.replace(`id="${section.id}"`, `id="${id}"`))
+  return insertSection(page, markup, section.time)
+}
+
+/** The page with an empty container: the starting point for a new archive page. */
+export function emptyAnnouncementsPage(page: string): string {
+  const { bodyStart, bodyEnd } = containerBounds(page)
+  const closingLine = page.lastIndexOf('\n', bodyEnd) + 1
+  return `${page.slice(0, bodyStart)}\n${page.slice(Math.max(closingLine, bodyStart))}`
+}
+
+/** The page's <style> blocks, so a section rendered on its own still looks like the page. */
+export function pageStyles(page: string): string {
+  return Array.from(page.matchAll(/<style[^>]*>[^]*?<\/style>/g), (m) => m[0]).join('\n')
+}
+
+/** A section as it would be pasted on its own: without its comment and indentation. */
+export function sectionHtml(section: AnnouncementSection): string {
+  const open = section.markup.search(/<section\s/)
+  return dedent(section.markup.slice(section.markup.lastIndexOf('\n', open) + 1))
+}
@@ -0,0 +1,139 @@
+import { apiDownload, ApiError, apiRequest } from '@/lib/api/client'
+import { announcementIds, archivePathFor } from './announcements'
+import type { FileMatches, FindOptions, ReplaceResult, ReplaceSelection } from './findReplace'
+import type {
+  ContentComponent,
+  ContentFile,
+  CopyRecord,
+  CopyStatus,
+  HistoryEntry,
+  HistorySnapshot,
+  SearchDocument,
+} from './types'
+
+export function fetchContentFile(path: string): Promise<ContentFile> {
+  return apiRequest<ContentFile>(`/api/content/file?path=${encodeURIComponent(path)}`, { cache: 'no-store' })
+}
+
+/** Ids in the archive of the announcements page at `pagePath`, none while it has no archive. */
+export async function fetchArchivedAnnouncementIds(pagePath: string): Promise<string[]> {
+  try {
+    return announcementIds((await fetchContentFile(archivePathFor(pagePath))).content)
+  } catch (err) {
+    if (err instanceof ApiError && err.code === 'CONTENT_NOT_FOUND') return []
+    throw err
+  }
+}
+
+export function saveContentFile(
+  path: string,
+  content: string,
+  baseVersion: string | null,
+  overwrite = false
+): Promise<ContentFile> {
+  return apiRequest<ContentFile>('/api/content/file', {
+    method: 'PUT',
+    body: JSON.stringify({ path, content, baseVersion, overwrite }),
+  })
+}
+
+export function addProductComponent(
+  brand: string,
+  product: string,
+  component: { id: string; label: string; content: string }
+): Promise<ContentComponent> {
+  return apiRequest<ContentComponent>(
+    `/api/content/products/${encodeURIComponent(brand)}/${encodeURIComponent(product)}/components`,
+    { method: 'POST', body: JSON.stringify(component) }
+  )
+}
+
+export interface CreatedProduct {
+  brand: string
+  id: string
+  components: ContentComponent[]
+}
+
+export function createProduct(product: {
+  brandName: string
+  // Folder of an existing brand; derived from the brand name when omitted
+  brand?: string
+  productName: string
+  // Derived from the product name when omitted
+  slug?: string
+  description: string
+  seed: { brand: string; product: string } | null
+}): Promise<CreatedProduct> {
+  return apiRequest<CreatedProduct>('/api/content/products', {
+    method: 'POST',
+    body: JSON.stringify(product),
+  })
+}
+
+export function fetchHistory(path: string): Promise<HistoryEntry[]> {
+  return apiRequest<HistoryEntry[]>(`/api/content/history?path=${encodeURIComponent(path)}`, { cache: 'no-store' })
+}
+
+export function fetchSnapshot(path: string, id: string): Promise<HistorySnapshot> {
+  return apiRequest<HistorySnapshot>(
+    `/api/content/history?path=${encodeURIComponent(path)}&id=${encodeURIComponent(id)}`,
+    { cache: 'no-store' }
+  )
+}
+
+export function fetchCopyStatuses(paths: string[]): Promise<Record<string, CopyStatus | null>> {
+  const query = paths.map((path) => `path=${encodeURIComponent(path)}`).join('&')
+  return apiRequest<Record<string, CopyStatus | null>>(`/api/content/copies?${query}`, { cache: 'no-store' })
+}
+
+export function recordCopy(path: string, content: string, sourceVersion: string): Promise<CopyRecord> {
+  return apiRequest<CopyRecord>('/api/content/copies', {
+    method: 'POST',
+    body: JSON.stringify({ path, content, sourceVersion }),
+  })
+}
+
+function findQuery({ query, regex, caseSensitive, textOnly }: FindOptions, replacement: string): string {
+  const params = new URLSearchParams({ query, replacement })
+  if (regex) params.set('regex', '1')
+  if (caseSensitive) params.set('caseSensitive', '1')
+  if (textOnly) params.set('textOnly', '1')
+  return params.toString()
+}
+
+export function findInSnippets(options: FindOptions, replacement: string): Promise<FileMatches[]> {
+  return apiRequest<FileMatches[]>(`/api/content/find-replace?${findQuery(options, replacement)}`, {
+    cache: 'no-store',
+  })
+}
+
+export function replaceInSnippets(
+  options: FindOptions,
+  replacement: string,
+  selections: ReplaceSelection[]
+): Promise<ReplaceResult[]> {
+  return apiRequest<ReplaceResult[]>('/api/content/find-replace', {
+    method: 'POST',
+    body: JSON.stringify({ ...options, replacement, selections }),
+  })
+}
+
+export function fetchSearchIndex(): Promise<SearchDocument[]> {
+  return apiRequest<SearchDocument[]>('/api/content/search', { cache: 'no-store' })
+}
+
+export async function compileTailwindCss(html: string): Promise<string> {
+  const { css } = await apiRequest<{ css: string }>('/api/content/tailwind', {
+    method: 'POST',
+    body: JSON.stringify({ html }),
+  })
+  return css
+}
+
+export function downloadProductShopifyExport(brand: string, product: string): Promise<void> {
+  return apiDownload(`/api/content/products/${encodeURIComponent(brand)}/${encodeURIComponent(product)}/shopify`)
+}
+
+export function downloadShopifyBundle(): Promise<void> {
+  return apiDownload('/api/content/shopify')
+}
@@ -0,0 +1,130 @@
+// Puts exported HTML on the clipboard. 'source' copies the markup as text, for Shopify's
+// "Show HTML" editor; 'rich' copies it as HTML, for the visual editor, with the text it
+// renders for fields that only take plain text. It uses the DOM, so it only runs in the browser.
+
+export type CopyMode = 'source' | 'rich'
+
+export const DEFAULT_COPY_MODE: CopyMode = 'source'
+
+const COPY_MODE_KEY = 'html-canvas:copy-mode'
+// Fired on window when the mode changes, so every view with a copy button follows it
+export const COPY_MODE_CHANGE_EVENT = 'html-canvas:copy-mode-change'
+
+export function loadCopyMode(): CopyMode {
+  if (typeof window === 'undefined') return DEFAULT_COPY_MODE
+  try {
+    const stored = window.localStorage.getItem(COPY_MODE_KEY)
+    return stored === 'source' || stored === 'rich' ? stored : DEFAULT_COPY_MODE
+  } catch {
+    return DEFAULT_COPY_MODE
+  }
+}
+
+export function storeCopyMode(mode: CopyMode): void {
+  try {
+    window.localStorage.setItem(COPY_MODE_KEY, mode)
+  } catch (err) {
+    console.error('Error storing copy mode:', err)
+  }
+  window.dispatchEvent(new Event(COPY_MODE_CHANGE_EVENT))
+}
+
+export class ClipboardError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = 'ClipboardError'
+  }
+}
+
+export interface CopyResult {
+  // Why the Clipboard API could not be used, when the copy went through the fallback instead
+  fallbackReason: string | null
+}
+
+// Elements that end a line, and those that also leave a blank line after them
+const LINE_TAGS = ['br', 'div', 'li', 'tr', 'dt', 'dd', 'figcaption', 'summary']
+const PARAGRAPH_TAGS = [
+  'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'dl', 'table', 'blockquote', 'section', 'article', 'pre',
+]
+
+/** The text a snippet renders, roughly as a browser would copy it. */
+export function plainText(html: string): string {
+  const template = document.createElement('template')
+  template.innerHTML = html
+  const content = template.content
+  content.querySelectorAll('style, script, template').forEach((element) => element.remove())
+
+  // Source formatting is not rendered, so only the line breaks added below survive
+  const walker = document.createTreeWalker(content, NodeFilter.SHOW_TEXT)
+  while (walker.nextNode()) {
+    const text = walker.currentNode as Text
+    if (!text.parentElement?.closest('pre')) text.data = text.data.replace(/\s+/g, ' ')
+  }
+  content.querySelectorAll(LINE_TAGS.join(', ')).forEach((element) => element.after('\n'))
+  content.querySelectorAll(PARAGRAPH_TAGS.join(', ')).forEach((element) => element.after('\n\n'))
+  content.querySelectorAll('td, th').forEach((cell) => cell.after('\t'))
+
+  return (content.textContent ?? '')
+    .split('\n')
+    .map((line) => line.replace(/^ +| +$/g, ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+}
+
+/**
+ * Copies through a `copy` event, which can carry HTML too. `execCommand` is deprecated but is
+ * what works where the Clipboard API is missing, such as pages served over plain HTTP.
+ */
+function copyWithCopyEvent(data: Record<string, string>): boolean {
+  const listener = (event: ClipboardEvent) => {
+    event.preventDefault()
+    for (const [type, text] of Object.entries(data)) event.clipboardData?.setData(type, text)
+  }
+  // Some browsers only fire the event with something selected
+  const selection = document.createElement('textarea')
+  selection.value = data['text/plain']
+  selection.setAttribute('readonly', '')
+  selection.style.position = 'fixed'
+  selection.style.opacity = '0'
+  document.body.append(selection)
+  selection.select()
+  document.addEventListener('copy', listener)
+  try {
+    return document.execCommand('copy')
+  } catch {
+    return false
+  } finally {
+    document.removeEventListener('copy', listener)
+    selection.remove()
+  }
+}
+
+/** Copies `html` in `mode`, falling back to a `copy` event; throws a ClipboardError when both fail. */
+export async function copyHtml(html: string, mode: CopyMode): Promise<CopyResult> {
+  const data: Record<string, string> =
+    mode === 'rich' ? { 'text/html': html, 'text/plain': plainText(html) } : { 'text/plain': html }
+
+  let fallbackReason: string
+  if (!navigator.clipboard || !window.isSecureContext) {
+    fallbackReason = 'the Clipboard API is only available over HTTPS or on localhost'
+  } else if (mode === 'rich' && typeof ClipboardItem === 'undefined') {
+    fallbackReason = 'this browser cannot write HTML with the Clipboard API'
+  } else {
+    try {
+      if (mode === 'rich') {
+        const items = Object.entries(data).map(([type, text]) => [type, new Blob([text], { type })])
+        await navigator.clipboard.write([new ClipboardItem(Object.fromEntries(items))])
+      } else {
+        await navigator.clipboard.writeText(html)
+      }
+      return { fallbackReason: null }
+    } catch (err) {
+      // Usually a denied permission, or the page losing focus while copying
+      fallbackReason = err instanceof Error ? err.message.replace(/\.$/, '') : 'the Clipboard API refused to write'
+    }
+  }
+
+  if (copyWithCopyEvent(data)) return { fallbackReason }
+  throw new ClipboardError(`Could not copy to the clipboard (${fallbackReason}), and the fallback failed too`)
+}
@@ -0,0 +1,6 @@
+// Top-level folders of content-types/ the app knows how to present
+export const ANNOUNCEMENTS = 'announcements'
+export const EXTENDED_PRODUCT = 'extended-product'
+
+// Per content type folder holding starting points rather than published content
+export const TEMPLATES_DIR = 'templates'
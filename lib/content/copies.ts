@@ -0,0 +1,40 @@
+import { promises as fs } from 'fs'
+import path from 'path'
+import { CONTENT_ROOT, PUBLIC_PREFIX } from './paths'
+import { contentVersion, readIfExists, resolveContentPath, type ResolvedContentPath } from './store'
+import type { CopyRecord, CopyStatus } from './types'
+
+// What was last copied to Shopify from each file, as content-types/.copies/<path of the file>.json.
+// Unlike .history/ this is committed, so everyone can see what Shopify was last given.
+const COPIES_ROOT = path.join(CONTENT_ROOT, '.copies')
+
+function recordFile(resolved: ResolvedContentPath): string {
+  return `${path.join(COPIES_ROOT, ...resolved.publicPath.slice(PUBLIC_PREFIX.length + 1).split('/'))}.json`
+}
+
+/** Remembers `content` as the text last copied from a file at `sourceVersion`. */
+export async function recordCopy(publicPath: unknown, content: string, sourceVersion: string): Promise<CopyRecord> {
+  const resolved = resolveContentPath(publicPath)
+  const record: CopyRecord = {
+    path: resolved.publicPath,
+    copiedAt: new Date().toISOString(),
+    hash: contentVersion(content),
+    content,
+    sourceVersion,
+  }
+  const file = recordFile(resolved)
+  await fs.mkdir(path.dirname(file), { recursive: true })
+  await fs.writeFile(file, `${JSON.stringify(record, null, 2)}\n`, 'utf8')
+  return record
+}
+
+/** The last copy of a file, flagged as changed when the file has been saved since; null if never copied. */
+export async function readCopyStatus(publicPath: unknown): Promise<CopyStatus | null> {
+  const resolved = resolveContentPath(publicPath)
+  const raw = await readIfExists(recordFile(resolved))
+  if (raw === null) return null
+
+  const record = JSON.parse(raw) as CopyRecord
+  const current = await readIfExists(resolved.sourceFile)
+  return { ...record, changed: current === null || contentVersion(current) !== record.sourceVersion }
+}
@@ -0,0 +1,221 @@
+// A small CSS reader for the export pipeline: enough to split a snippet's stylesheet into
+// rules, weigh their selectors and write declarations back out. It assumes the CSS is
+// well-formed and does not validate it.
+
+export interface CssDeclaration {
+  property: string
+  value: string
+  important: boolean
+}
+
+export type CssRule =
+  | { type: 'style'; selectors: string[]; declarations: CssDeclaration[] }
+  // @media, @import, @font-face, @keyframes and the like, kept as written
+  | { type: 'at-rule'; name: string; text: string }
+
+const COMMENT_PATTERN = /\/\*[^]*?\*\//g
+
+export function stripCssComments(css: string): string {
+  return mapOutsideStrings(css, (part) => part.replace(COMMENT_PATTERN, ''))
+}
+
+// Applies `map` to the CSS between string literals, so quoted text is never rewritten
+function mapOutsideStrings(css: string, map: (part: string) => string): string {
+  let result = ''
+  let start = 0
+  for (let i = 0; i < css.length; i++) {
+    const char = css[i]
+    if (char === '/' && css[i + 1] === '*') {
+      const end = css.indexOf('*/', i + 2)
+      i = end === -1 ? css.length : end + 1
+      continue
+    }
+    if (char !== '"' && char !== "'") continue
+    const end = stringEnd(css, i)
+    result += map(css.slice(start, i)) + css.slice(i, end)
+    start = end
+    i = end - 1
+  }
+  return result + map(css.slice(start))
+}
+
+// Index just past the string literal opening at `start`
+function stringEnd(css: string, start: number): number {
+  const quote = css[start]
+  for (let i = start + 1; i < css.length; i++) {
+    if (css[i] === '\\') i++
+    else if (css[i] === quote || css[i] === '\n') return i + 1
+  }
+  return css.length
+}
+
+/**
+ * Index of the first of `stops` at nesting depth 0 from `start`, skipping strings and
+ * anything inside brackets; -1 when there is none.
+ */
+function scan(css: string, start: number, stops: string): number {
+  let depth = 0
+  for (let i = start; i < css.length; i++) {
+    const char = css[i]
+    if (char === '"' || char === "'") {
+      i = stringEnd(css, i) - 1
+    } else if (depth === 0 && stops.includes(char)) {
+      return i
+    } else if (char === '(' || char === '[' || char === '{') {
+      depth++
+    } else if (char === ')' || char === ']' || char === '}') {
+      depth--
+    }
+  }
+  return -1
+}
+
+/** Splits a list such as a selector list or a declaration block at top-level `separator`s. */
+export function splitTopLevel(text: string, separator: string): string[] {
+  const parts: string[] = []
+  let start = 0
+  for (let end = scan(text, 0, separator); end !== -1; end = scan(text, start, separator)) {
+    parts.push(text.slice(start, end))
+    start = end + 1
+  }
+  parts.push(text.slice(start))
+  return parts.map((part) => part.trim()).filter(Boolean)
+}
+
+export function parseDeclarations(block: string): CssDeclaration[] {
+  return splitTopLevel(stripCssComments(block), ';').flatMap((declaration) => {
+    const colon = declaration.indexOf(':')
+    if (colon <= 0) return []
+    const property = declaration.slice(0, colon).trim()
+    const value = declaration.slice(colon + 1).trim()
+    const important = /!\s*important\s*$/i.test(value)
+    return [{ property, value: important ? value.replace(/\s*!\s*important\s*$/i, '') : value, important }]
+  })
+}
+
+/** The rules of a stylesheet in source order; comments are dropped. */
+export function parseStylesheet(css: string): CssRule[] {
+  const source = stripCssComments(css)
+  const rules: CssRule[] = []
+  let position = 0
+  while (position < source.length) {
+    const next = source.slice(position).search(/\S/)
+    if (next === -1) break
+    const start = position + next
+
+    if (source[start] === '@') {
+      const stop = scan(source, start, ';{')
+      if (stop === -1 || source[stop] === ';') {
+        const end = stop === -1 ? source.length : stop + 1
+        rules.push({ type: 'at-rule', name: atRuleName(source, start), text: source.slice(start, end).trim() })
+        position = end
+        continue
+      }
+      const end = blockEnd(source, stop)
+      rules.push({ type: 'at-rule', name: atRuleName(source, start), text: source.slice(start, end).trim() })
+      position = end
+      continue
+    }
+
+    const open = scan(source, start, '{}')
+    if (open === -1) break
+    if (source[open] === '}') {
+      // A stray closing brace; skip it like a browser would
+      position = open + 1
+      continue
+    }
+    const end = blockEnd(source, open)
+    rules.push({
+      type: 'style',
+      selectors: splitTopLevel(source.slice(start, open), ','),
+      declarations: parseDeclarations(source.slice(open + 1, end - 1)),
+    })
+    position = end
+  }
+  return rules
+}
+
+function atRuleName(css: string, start: number): string {
+  return css.slice(start + 1).match(/^[\w-]+/)?.[0].toLowerCase() ?? ''
+}
+
+// Index just past the brace that closes the block opening at `open`
+function blockEnd(css: string, open: number): number {
+  const close = scan(css, open + 1, '}')
+  return close === -1 ? css.length : close + 1
+}
+
+export function declarationsCss(declarations: CssDeclaration[]): string {
+  return declarations
+    .map((d) => `${d.property}: ${d.value}${d.important ? ' !important' : ''}`)
+    .join('; ')
+}
+
+export function ruleCss(rule: CssRule): string {
+  if (rule.type === 'at-rule') return rule.text
+  return `${rule.selectors.join(', ')} { ${declarationsCss(rule.declarations)}; }`
+}
+
+/** Drops comments and every whitespace character a browser does not need. */
+export function minifyCss(css: string): string {
+  return mapOutsideStrings(stripCssComments(css), (part) =>
+    part
+      .replace(/\s+/g, ' ')
+      .replace(/\s*([{};,>])\s*/g, '$1')
+      .replace(/:\s+/g, ':')
+      .replace(/;}/g, '}')
+  ).trim()
+}
+
+/**
+ * Replaces the `var()` references in a value with what `lookup` gives for them, or with their
+ * fallback when it gives nothing. Undefined when a reference has neither, since a browser
+ * then treats the whole declaration as invalid.
+ */
+export function resolveVariables(value: string, lookup: (name: string) => string | undefined): string | undefined {
+  let result = ''
+  let position = 0
+  for (let next = value.search(/\bvar\(/i); next !== -1; next = value.slice(position).search(/\bvar\(/i)) {
+    const start = position + next
+    const open = start + 'var('.length
+    const stop = scan(value, open, ',)')
+    if (stop === -1) return undefined
+    const close = value[stop] === ',' ? scan(value, stop + 1, ')') : stop
+    if (close === -1) return undefined
+
+    let replacement = lookup(value.slice(open, stop).trim())
+    if (replacement === undefined && value[stop] === ',') {
+      replacement = resolveVariables(value.slice(stop + 1, close).trim(), lookup)
+    }
+    if (replacement === undefined) return undefined
+    result += value.slice(position, start) + replacement
+    position = close + 1
+  }
+  return result + value.slice(position)
+}
+
+export type Specificity = [ids: number, classes: number, elements: number]
+
+/** The specificity of a single selector, e.g. `.card > h2:hover` → [0, 2, 1]. */
+export function specificity(selector: string): Specificity {
+  let rest = selector
+    .replace(/"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'/g, '')
+    // :where() never adds anything; :is(), :not() and :has() count as their argument
+    .replace(/:where\([^()]*\)/gi, '')
+    .replace(/:(?:is|not|has|matches)\(([^()]*)\)/gi, ' $1')
+  const count = (pattern: RegExp): number => {
+    const matches = rest.match(pattern)
+    rest = rest.replace(pattern, ' ')
+    return matches?.length ?? 0
+  }
+  const ids = count(/#(?:[\w-]|\\.)+/g)
+  const attributes = count(/\[[^\]]*\]/g)
+  const pseudoElements = count(/::[\w-]+(?:\([^()]*\))?/g)
+  const classes = count(/\.(?:[\w-]|\\.)+/g) + attributes + count(/:[\w-]+(?:\([^()]*\))?/g)
+  const elements = pseudoElements + count(/(?:^|[\s>+~,(])[a-z][\w-]*/gi)
+  return [ids, classes, elements]
+}
+
+export function compareSpecificity(a: Specificity, b: Specificity): number {
+  return a[0] - b[0] || a[1] - b[1] || a[2] - b[2]
+}
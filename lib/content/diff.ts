@@ -0,0 +1,116 @@
+// Line-based diffs for comparing versions of a snippet in the browser
+
+export type DiffLineType = 'same' | 'added' | 'removed'
+
+export interface DiffLine {
+  type: DiffLineType
+  text: string
+  // 1-based line numbers in the old and new text; null on the side the line is missing from
+  oldLine: number | null
+  newLine: number | null
+}
+
+export type DiffRow = DiffLine | { type: 'skipped'; count: number }
+
+// Beyond this many cells the LCS table gets too big to build on every render; the
+// changed middle is then shown as removed and re-added in full
+const MAX_TABLE_CELLS = 4_000_000
+
+function splitLines(text: string): string[] {
+  return text === '' ? [] : text.replace(/\r\n/g, '\n').split('\n')
+}
+
+/**
+ * Diffs two texts line by line using a longest common subsequence. The common prefix and
+ * suffix are matched first, so small edits to large files only compare the changed middle.
+ */
+export function diffLines(before: string, after: string): DiffLine[] {
+  const a = splitLines(before)
+  const b = splitLines(after)
+
+  let start = 0
+  while (start < a.length && start < b.length && a[start] === b[start]) start++
+  let endA = a.length
+  let endB = b.length
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--
+    endB--
+  }
+
+  const lines: DiffLine[] = []
+  for (let i = 0; i < start; i++) {
+    lines.push({ type: 'same', text: a[i], oldLine: i + 1, newLine: i + 1 })
+  }
+
+  const n = endA - start
+  const m = endB - start
+  if (n * m > MAX_TABLE_CELLS) {
+    for (let i = start; i < endA; i++) lines.push({ type: 'removed', text: a[i], oldLine: i + 1, newLine: null })
+    for (let j = start; j < endB; j++) lines.push({ type: 'added', text: b[j], oldLine: null, newLine: j + 1 })
+  } else {
+    // lengths[i * (m + 1) + j] = LCS length of a[start + i..endA) and b[start + j..endB)
+    const lengths = new Uint32Array((n + 1) * (m + 1))
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lengths[i * (m + 1) + j] =
+          a[start + i] === b[start + j]
+            ? lengths[(i + 1) * (m + 1) + j + 1] + 1
+            : Math.max(lengths[(i + 1) * (m + 1) + j], lengths[i * (m + 1) + j + 1])
+      }
+    }
+
+    let i = 0
+    let j = 0
+    while (i < n || j < m) {
+      const oldIndex = start + i
+      const newIndex = start + j
+      if (i < n && j < m && a[oldIndex] === b[newIndex]) {
+        lines.push({ type: 'same', text: a[oldIndex], oldLine: oldIndex + 1, newLine: newIndex + 1 })
+        i++
+        j++
+      } else if (i < n && (j === m || lengths[(i + 1) * (m + 1) + j] >= lengths[i * (m + 1) + j + 1])) {
+        // Removals before additions, as in a unified diff
+        lines.push({ type: 'removed', text: a[oldIndex], oldLine: oldIndex + 1, newLine: null })
+        i++
+      } else {
+        lines.push({ type: 'added', text: b[newIndex], oldLine: null, newLine: newIndex + 1 })
+        j++
+      }
+    }
+  }
+
+  for (let i = endA, j = endB; i < a.length; i++, j++) {
+    lines.push({ type: 'same', text: a[i], oldLine: i + 1, newLine: j + 1 })
+  }
+  return lines
+}
+
+export function diffStats(lines: DiffLine[]): { added: number; removed: number } {
+  return {
+    added: lines.filter((line) => line.type === 'added').length,
+    removed: lines.filter((line) => line.type === 'removed').length,
+  }
+}
+
+/** Keeps `context` unchanged lines around each change and folds longer unchanged runs. */
+export function collapseUnchanged(lines: DiffLine[], context = 3): DiffRow[] {
+  const keep = lines.map(() => false)
+  lines.forEach((line, index) => {
+    if (line.type === 'same') return
+    for (let k = Math.max(0, index - context); k <= Math.min(lines.length - 1, index + context); k++) keep[k] = true
+  })
+
+  const rows: DiffRow[] = []
+  let skipped = 0
+  lines.forEach((line, index) => {
+    if (keep[index]) {
+      if (skipped > 0) rows.push({ type: 'skipped', count: skipped })
+      skipped = 0
+      rows.push(line)
+    } else {
+      skipped++
+    }
+  })
+  if (skipped > 0) rows.push({ type: 'skipped', count: skipped })
+  return rows
+}
@@ -0,0 +1,47 @@
+// Unsaved editor content, kept in localStorage per file so it survives navigation and reloads
+
+const DRAFT_KEY_PREFIX = 'html-canvas:draft:'
+
+export interface StoredDraft {
+  content: string
+  // Version of the file the draft was edited from
+  baseVersion: string
+  savedAt: string
+}
+
+function draftKey(path: string): string {
+  return `${DRAFT_KEY_PREFIX}${path}`
+}
+
+export function loadDraft(path: string): StoredDraft | null {
+  if (typeof window === 'undefined') return null
+  try {
+    const raw = window.localStorage.getItem(draftKey(path))
+    if (!raw) return null
+    const draft = JSON.parse(raw) as Partial<StoredDraft>
+    return typeof draft.content === 'string' && typeof draft.baseVersion === 'string'
+      ? { content: draft.content, baseVersion: draft.baseVersion, savedAt: draft.savedAt ?? '' }
+      : null
+  } catch {
+    // Unreadable entries are treated as no draft; storing the next one replaces them
+    return null
+  }
+}
+
+export function storeDraft(path: string, content: string, baseVersion: string): void {
+  const draft: StoredDraft = { content, baseVersion, savedAt: new Date().toISOString() }
+  try {
+    window.localStorage.setItem(draftKey(path), JSON.stringify(draft))
+  } catch (err) {
+    // Quota exceeded or storage disabled; editing still works, only without a safety net
+    console.error(`Error storing draft of ${path}:`, err)
+  }
+}
+
+export function clearDraft(path: string): void {
+  try {
+    window.localStorage.removeItem(draftKey(path))
+  } catch {
+    // Nothing stored when storage is unavailable
+  }
+}
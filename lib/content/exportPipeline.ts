@@ -0,0 +1,446 @@
+import {
+  compareSpecificity,
+  declarationsCss,
+  minifyCss,
+  parseDeclarations,
+  parseStylesheet,
+  resolveVariables,
+  ruleCss,
+  specificity,
+  stripCssComments,
+  type CssDeclaration,
+  type CssRule,
+  type Specificity,
+} from './css'
+
+// Turns a snippet into what the copy buttons put on the clipboard, in explicit steps:
+// select the root, compile Tailwind, keep or inline the styles, strip comments, then
+// normalize whitespace or minify. It parses the snippet with the DOM, so it only runs in the browser.
+
+// 'inline' keeps the rules it cannot inline in a <style> block; 'attributes' is for rich-text
+// editors and email tools that drop <style> blocks, so it leaves them out and resolves var()
+export type StyleMode = 'keep' | 'inline' | 'attributes'
+
+export interface ExportOptions {
+  // Selector of the element whose contents are exported; empty for the whole snippet
+  root: string
+  // Replace the Tailwind CDN script with the CSS of the utilities the snippet uses
+  tailwind: boolean
+  styles: StyleMode
+  // Keep <script> elements; Shopify strips them when the snippet is pasted
+  scripts: boolean
+  stripComments: boolean
+  normalizeWhitespace: boolean
+  minify: boolean
+}
+
+export type NotInlinedReason = 'at-rule' | 'state' | 'page' | 'unsupported' | 'unmatched' | 'stylesheet'
+
+// A stylesheet rule, or a stylesheet <link>, that the inline modes could not move into style attributes
+export interface NotInlinedRule {
+  source: string
+  reason: NotInlinedReason
+}
+
+export interface ExportResult {
+  html: string
+  // Steps that could not be carried out as configured
+  warnings: string[]
+  // With the styles inlined, everything that could not be
+  notInlined: NotInlinedRule[]
+}
+
+// Product components and templates, or whole pages such as the announcements page
+export type ExportTarget = 'component' | 'page'
+
+// Tailwind CSS compiled on the server for a snippet, see lib/content/tailwind.ts
+export type CompiledTailwind = { css: string } | { error: string }
+
+export const DEFAULT_EXPORT_OPTIONS: Record<ExportTarget, ExportOptions> = {
+  // Components are wrapped in a <div>; Shopify gets what is inside it
+  component: {
+    root: 'div',
+    tailwind: false,
+    styles: 'keep',
+    scripts: true,
+    stripComments: false,
+    normalizeWhitespace: false,
+    minify: false,
+  },
+  // Pages are copied whole, so their <style> block and scripts come along; they style
+  // their markup with Tailwind, which only reaches Shopify compiled
+  page: {
+    root: '',
+    tailwind: true,
+    styles: 'keep',
+    scripts: true,
+    stripComments: false,
+    normalizeWhitespace: false,
+    minify: false,
+  },
+}
+
+const EXPORT_OPTIONS_KEY_PREFIX = 'html-canvas:export:'
+const STYLE_MODES: StyleMode[] = ['keep', 'inline', 'attributes']
+
+export function loadExportOptions(target: ExportTarget): ExportOptions {
+  const defaults = DEFAULT_EXPORT_OPTIONS[target]
+  if (typeof window === 'undefined') return defaults
+  try {
+    const raw = window.localStorage.getItem(`${EXPORT_OPTIONS_KEY_PREFIX}${target}`)
+    if (!raw) return defaults
+    const stored = JSON.parse(raw) as Partial<ExportOptions>
+    return {
+      root: typeof stored.root === 'string' ? stored.root : defaults.root,
+      tailwind: typeof stored.tailwind === 'boolean' ? stored.tailwind : defaults.tailwind,
+      styles: STYLE_MODES.includes(stored.styles as StyleMode) ? (stored.styles as StyleMode) : defaults.styles,
+      scripts: typeof stored.scripts === 'boolean' ? stored.scripts : defaults.scripts,
+      stripComments: typeof stored.stripComments === 'boolean' ? stored.stripComments : defaults.stripComments,
+      normalizeWhitespace:
+        typeof stored.normalizeWhitespace === 'boolean' ? stored.normalizeWhitespace : defaults.normalizeWhitespace,
+      minify: typeof stored.minify === 'boolean' ? stored.minify : defaults.minify,
+    }
+  } catch {
+    // Unreadable settings fall back to the defaults; changing them replaces the entry
+    return defaults
+  }
+}
+
+export function storeExportOptions(target: ExportTarget, options: ExportOptions): void {
+  try {
+    window.localStorage.setItem(`${EXPORT_OPTIONS_KEY_PREFIX}${target}`, JSON.stringify(options))
+  } catch (err) {
+    console.error(`Error storing ${target} export options:`, err)
+  }
+}
+
+const STYLESHEET_SELECTOR = 'style, link[rel~="stylesheet" i]'
+// The Play CDN script, which builds Tailwind's CSS in the browser
+const TAILWIND_LOADER_SELECTOR = 'script[src*="cdn.tailwindcss.com" i]'
+
+function parseFragment(html: string): DocumentFragment {
+  const template = document.createElement('template')
+  template.innerHTML = html
+  return template.content
+}
+
+/** Puts compiled Tailwind CSS where the CDN script was, or ahead of a snippet that relies on a page loading it. */
+function addTailwindCss(fragment: DocumentFragment, css: string): void {
+  const [loader, ...duplicates] = Array.from(fragment.querySelectorAll(TAILWIND_LOADER_SELECTOR))
+  duplicates.forEach((script) => script.remove())
+  if (!css) {
+    loader?.remove()
+    return
+  }
+  const style = document.createElement('style')
+  style.textContent = `\n${css}\n`
+  if (loader) loader.replaceWith(style)
+  else fragment.prepend(style, '\n\n')
+}
+
+// Selectors that depend on state or generate content, which a style attribute cannot express
+const DYNAMIC_PSEUDO_CLASSES = [
+  'hover', 'focus', 'focus-within', 'focus-visible', 'active', 'visited', 'link', 'any-link', 'target', 'checked',
+  'disabled', 'enabled', 'placeholder-shown', 'before', 'after', 'first-line', 'first-letter',
+]
+const DYNAMIC_SELECTOR_PATTERN = new RegExp(`::|:(?:${DYNAMIC_PSEUDO_CLASSES.join('|')})(?![\\w-])`, 'i')
+
+// Rules on these style the page a snippet is pasted into rather than the snippet itself
+const PAGE_SELECTOR_PATTERN = /^(?::root|html|body)$/i
+
+// Properties the snippet inherits from the page, which the attributes mode copies onto its top-level elements
+const INHERITED_PROPERTIES = new Set([
+  'color', 'cursor', 'direction', 'font', 'font-family', 'font-feature-settings', 'font-size', 'font-style',
+  'font-variant', 'font-weight', 'letter-spacing', 'line-height', 'list-style', 'quotes', 'text-align',
+  'text-indent', 'text-transform', 'visibility', 'white-space', 'word-spacing',
+])
+
+interface AppliedDeclaration {
+  declaration: CssDeclaration
+  specificity: Specificity
+  order: number
+}
+
+interface InlineResult {
+  notInlined: NotInlinedRule[]
+  // Custom properties referenced without a value or fallback
+  missingVariables: Set<string>
+}
+
+const isCustomProperty = (declaration: CssDeclaration): boolean => declaration.property.startsWith('--')
+
+/** An element's custom properties: those it declares, resolved, over those it inherits. */
+function computeCustomProperties(
+  declared: CssDeclaration[],
+  inherited: ReadonlyMap<string, string>
+): Map<string, string> {
+  const values = new Map(declared.map((d) => [d.property, d.value]))
+  const resolved = new Map<string, string | undefined>()
+  const resolving = new Set<string>()
+  const lookup = (name: string): string | undefined => {
+    const value = values.get(name)
+    if (value === undefined) return inherited.get(name)
+    if (resolved.has(name)) return resolved.get(name)
+    // Properties that refer to each other in a cycle have no value
+    if (resolving.has(name)) return undefined
+    resolving.add(name)
+    const result = resolveVariables(value, lookup)
+    resolving.delete(name)
+    resolved.set(name, result)
+    return result
+  }
+
+  const computed = new Map(inherited)
+  for (const name of values.keys()) {
+    const value = lookup(name)
+    if (value === undefined) computed.delete(name)
+    else computed.set(name, value)
+  }
+  return computed
+}
+
+/**
+ * Moves the rules of every <style> block into the style attributes of the elements they
+ * match, following specificity and !important. In 'inline' mode the rules that cannot be
+ * inlined are kept in a single <style> block. In 'attributes' mode they are left out; instead
+ * the page's custom properties replace every var() and its inherited styles, such as the
+ * font, are copied onto the snippet's top-level elements.
+ */
+function inlineStyles(fragment: DocumentFragment, mode: Exclude<StyleMode, 'keep'>): InlineResult {
+  const attributesOnly = mode === 'attributes'
+  const sheets = Array.from(fragment.querySelectorAll('style'))
+  const rules = sheets.flatMap((sheet) => parseStylesheet(sheet.textContent ?? ''))
+  sheets.forEach((sheet) => sheet.remove())
+
+  const notInlined: NotInlinedRule[] = []
+  if (attributesOnly) {
+    fragment.querySelectorAll('link[rel~="stylesheet" i]').forEach((link) => {
+      notInlined.push({ source: link.outerHTML, reason: 'stylesheet' })
+      link.remove()
+    })
+  }
+
+  const applied = new Map<Element, AppliedDeclaration[]>()
+  const pageVariables: CssDeclaration[] = []
+  const pageInherited: CssDeclaration[] = []
+  let order = 0
+  for (const rule of rules) {
+    if (rule.type !== 'style') {
+      notInlined.push({ source: ruleCss(rule), reason: 'at-rule' })
+      continue
+    }
+    for (const selector of rule.selectors) {
+      const single = (declarations: CssDeclaration[]): string =>
+        ruleCss({ type: 'style', selectors: [selector], declarations })
+
+      if (PAGE_SELECTOR_PATTERN.test(selector)) {
+        const rest = attributesOnly ? [] : rule.declarations
+        if (attributesOnly) {
+          for (const declaration of rule.declarations) {
+            if (isCustomProperty(declaration)) pageVariables.push(declaration)
+            else if (INHERITED_PROPERTIES.has(declaration.property.toLowerCase())) pageInherited.push(declaration)
+            else rest.push(declaration)
+          }
+        }
+        if (rest.length > 0) notInlined.push({ source: single(rest), reason: 'page' })
+        continue
+      }
+      if (DYNAMIC_SELECTOR_PATTERN.test(selector)) {
+        notInlined.push({ source: single(rule.declarations), reason: 'state' })
+        continue
+      }
+      let matches: Element[]
+      try {
+        matches = Array.from(fragment.querySelectorAll(selector))
+      } catch {
+        notInlined.push({ source: single(rule.declarations), reason: 'unsupported' })
+        continue
+      }
+      if (matches.length === 0) {
+        notInlined.push({ source: single(rule.declarations), reason: 'unmatched' })
+        continue
+      }
+      const weight = specificity(selector)
+      for (const element of matches) {
+        const entries = applied.get(element) ?? []
+        for (const declaration of rule.declarations) {
+          entries.push({ declaration, specificity: weight, order: order++ })
+        }
+        applied.set(element, entries)
+      }
+    }
+  }
+
+  // Without var() to resolve, only the elements a rule matched change
+  const elements = attributesOnly ? Array.from(fragment.querySelectorAll('*')) : Array.from(applied.keys())
+  const topLevel = new Set(Array.from(fragment.children).filter((element) => !element.matches('script, template')))
+  const rootVariables = computeCustomProperties(pageVariables, new Map())
+  const elementVariables = new Map<Element, Map<string, string>>()
+  const missingVariables = new Set<string>()
+
+  for (const element of elements) {
+    const cascade = (applied.get(element) ?? []).sort(
+      (a, b) => compareSpecificity(a.specificity, b.specificity) || a.order - b.order
+    )
+    // The element's own style attribute beats any rule, except an !important one; anything
+    // inherited from the page loses to both
+    const own = parseDeclarations(element.getAttribute('style') ?? '')
+    const ordered = [
+      ...(attributesOnly && topLevel.has(element) ? pageInherited : []),
+      ...cascade.filter((entry) => !entry.declaration.important).map((entry) => entry.declaration),
+      ...own,
+      ...cascade.filter((entry) => entry.declaration.important).map((entry) => entry.declaration),
+    ]
+    const winners = new Map<string, CssDeclaration>()
+    for (const declaration of ordered) {
+      const property = isCustomProperty(declaration) ? declaration.property : declaration.property.toLowerCase()
+      const current = winners.get(property)
+      if (current?.important && !declaration.important) continue
+      // Re-inserted so the attribute lists declarations in the order they won
+      winners.delete(property)
+      winners.set(property, declaration)
+    }
+
+    let declarations = Array.from(winners.values())
+    if (attributesOnly) {
+      const parent = element.parentElement
+      const variables = computeCustomProperties(
+        declarations.filter(isCustomProperty),
+        (parent && elementVariables.get(parent)) || rootVariables
+      )
+      elementVariables.set(element, variables)
+      // Every var() is replaced, so the custom properties themselves are no longer needed
+      declarations = declarations.filter((d) => !isCustomProperty(d)).flatMap((declaration) => {
+        const value = resolveVariables(declaration.value, (name) => variables.get(name))
+        if (value === undefined) {
+          for (const [, name] of declaration.value.matchAll(/var\(\s*(--[\w-]+)/gi)) {
+            if (!variables.has(name)) missingVariables.add(name)
+          }
+          return []
+        }
+        // Empty custom properties, as Tailwind sets, can leave nothing behind
+        return value.trim() ? [{ ...declaration, value }] : []
+      })
+    }
+    if (declarations.length > 0) element.setAttribute('style', declarationsCss(declarations))
+    else element.removeAttribute('style')
+  }
+
+  if (!attributesOnly && notInlined.length > 0) {
+    const style = document.createElement('style')
+    style.textContent = `\n${notInlined.map((rule) => `    ${rule.source}`).join('\n')}\n`
+    fragment.prepend(style, '\n\n')
+  }
+  return { notInlined, missingVariables }
+}
+
+function removeComments(fragment: DocumentFragment): void {
+  const walker = document.createTreeWalker(fragment, NodeFilter.SHOW_COMMENT)
+  const comments: Node[] = []
+  while (walker.nextNode()) comments.push(walker.currentNode)
+  comments.forEach((comment) => comment.parentNode?.removeChild(comment))
+  fragment.querySelectorAll('style').forEach((style) => {
+    style.textContent = stripCssComments(style.textContent ?? '')
+  })
+}
+
+// Elements whose text must reach the clipboard exactly as written
+const PREFORMATTED_PATTERN = /<(pre|textarea|script)\b[^>]*>[^]*?<\/\1\s*>/gi
+const PLACEHOLDER_PATTERN = /\uE000(\d+)\uE000/g
+
+// Applies `transform` to the markup with preformatted elements set aside
+function withPreformattedKept(html: string, transform: (html: string) => string): string {
+  const kept: string[] = []
+  const masked = html.replace(PREFORMATTED_PATTERN, (element) => `\uE000${kept.push(element) - 1}\uE000`)
+  return transform(masked).replace(PLACEHOLDER_PATTERN, (_, index: string) => kept[Number(index)])
+}
+
+/** Trims trailing spaces, drops the indentation all lines share and collapses blank runs. */
+function normalizeWhitespace(html: string): string {
+  return withPreformattedKept(html, (masked) => {
+    const lines = masked.split('\n').map((line) => line.replace(/\s+$/, ''))
+    const indents = lines.filter((line) => line).map((line) => line.match(/^[ \t]*/)?.[0].length ?? 0)
+    const indent = indents.length > 0 ? Math.min(...indents) : 0
+    return lines
+      .map((line) => line.slice(indent))
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .replace(/^\n+|\n+$/g, '')
+  })
+}
+
+// Elements around which whitespace never renders
+const BLOCK_TAGS = [
+  'address', 'article', 'aside', 'blockquote', 'br', 'details', 'div', 'dl', 'dd', 'dt', 'figcaption', 'figure',
+  'footer', 'form', 'h[1-6]', 'header', 'hr', 'li', 'link', 'main', 'meta', 'nav', 'ol', 'p', 'section', 'style',
+  'summary', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'ul',
+]
+const BLOCK_TAG_PATTERN = new RegExp(`\\s*(</?(?:${BLOCK_TAGS.join('|')})\\b[^>]*>)\\s*`, 'gi')
+
+/** Collapses whitespace runs, drops whitespace around block elements and minifies <style> blocks. */
+function minifyHtml(html: string): string {
+  const minified = html.replace(
+    /(<style\b[^>]*>)([^]*?)(<\/style\s*>)/gi,
+    (_, open: string, css: string, close: string) => `${open}${minifyCss(css)}${close}`
+  )
+  return withPreformattedKept(minified, (masked) => masked.replace(/\s+/g, ' ').replace(BLOCK_TAG_PATTERN, '$1').trim())
+}
+
+/**
+ * Runs a snippet through the export steps, returning exactly what is copied. With the Tailwind
+ * step on, `tailwind` is the snippet's compiled CSS; until it is available the CDN script is kept.
+ */
+export function exportSnippet(html: string, options: ExportOptions, tailwind?: CompiledTailwind): ExportResult {
+  const warnings: string[] = []
+  const source = parseFragment(html)
+
+  let root: Element | DocumentFragment = source
+  const selector = options.root.trim()
+  if (selector) {
+    try {
+      const match = source.querySelector(selector)
+      if (match) root = match
+      else warnings.push(`Nothing matches the root "${selector}", so the whole snippet is exported`)
+    } catch {
+      warnings.push(`"${selector}" is not a valid selector, so the whole snippet is exported`)
+    }
+  }
+
+  const output = document.createElement('template')
+  if (root !== source) {
+    // Styles and scripts outside the root still apply to it, so they come along
+    for (const element of source.querySelectorAll(`${STYLESHEET_SELECTOR}, script`)) {
+      if (!root.contains(element)) output.content.append(element.cloneNode(true), '\n')
+    }
+  }
+  output.content.append(...Array.from(root.childNodes, (node) => node.cloneNode(true)))
+
+  const fragment = output.content
+  if (options.tailwind) {
+    if (!tailwind) warnings.push('Tailwind classes are still being compiled')
+    else if ('error' in tailwind) warnings.push(`Tailwind classes could not be compiled: ${tailwind.error}`)
+    else addTailwindCss(fragment, tailwind.css)
+  }
+  if (!options.scripts) fragment.querySelectorAll('script').forEach((script) => script.remove())
+  let notInlined: NotInlinedRule[] = []
+  if (options.styles !== 'keep') {
+    const inlined = inlineStyles(fragment, options.styles)
+    notInlined = inlined.notInlined
+    const count = `${notInlined.length} style ${notInlined.length === 1 ? 'rule' : 'rules'}`
+    if (notInlined.length > 0 && options.styles === 'inline') {
+      warnings.push(`${count} could not be inlined and stay in a <style> block`)
+    } else if (notInlined.length > 0) {
+      warnings.push(`${count} could not be inlined and are left out`)
+    }
+    if (inlined.missingVariables.size > 0) {
+      const names = Array.from(inlined.missingVariables).join(', ')
+      warnings.push(`Declarations using custom properties that have no value are left out: ${names}`)
+    }
+  }
+  if (options.stripComments) removeComments(fragment)
+
+  let result = output.innerHTML
+  if (options.minify) result = minifyHtml(result)
+  else if (options.normalizeWhitespace) result = normalizeWhitespace(result)
+  return { html: result, warnings, notInlined }
+}
@@ -0,0 +1,153 @@
+// Find-and-replace across snippets; pure string functions shared by the preview and the apply step
+
+import type { ContentFile, SnippetRef } from './types'
+
+export interface FindOptions {
+  query: string
+  regex: boolean
+  caseSensitive: boolean
+  // Only match inside text nodes: never in tags, attributes, comments, <script> or <style>
+  textOnly: boolean
+}
+
+export interface TextMatch {
+  // Offset into the file; doubles as the match's id since it is unique per file version
+  index: number
+  text: string
+  replacement: string
+  line: number
+  column: number
+  // Up to CONTEXT_CHARS of the same line on either side
+  before: string
+  after: string
+}
+
+export class FindPatternError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = 'FindPatternError'
+  }
+}
+
+const CONTEXT_CHARS = 40
+
+// Markup skipped in text-only mode; raw-text elements are skipped with their content
+const MARKUP_PATTERN = /<!--(?:(?!-->)[^])*(?:-->|$)|<(script|style)\b[^>]*>(?:(?!<\/\1\s*>)[^])*(?:<\/\1\s*>|$)|<[^>]*>?/gi
+
+function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+function buildPattern({ query, regex, caseSensitive }: FindOptions): RegExp {
+  const flags = caseSensitive ? 'gu' : 'giu'
+  try {
+    return new RegExp(regex ? query : escapeRegExp(query), flags)
+  } catch (err) {
+    throw new FindPatternError(err instanceof Error ? err.message : String(err))
+  }
+}
+
+/** Checks a pattern without searching, so the form can flag it while it is typed. */
+export function validateFindOptions(options: FindOptions): string | null {
+  try {
+    buildPattern(options)
+    return null
+  } catch (err) {
+    return err instanceof Error ? err.message : String(err)
+  }
+}
+
+// [start, end) ranges of the text between tags
+function textRanges(content: string): Array<[number, number]> {
+  const ranges: Array<[number, number]> = []
+  let start = 0
+  for (const markup of content.matchAll(MARKUP_PATTERN)) {
+    if (markup.index > start) ranges.push([start, markup.index])
+    start = markup.index + markup[0].length
+  }
+  if (start < content.length) ranges.push([start, content.length])
+  return ranges
+}
+
+/**
+ * Expands $&, $1, $<name> and $$ in `replacement` the way String.prototype.replace does.
+ * Plain-text searches take the replacement literally.
+ */
+function expandReplacement(replacement: string, match: RegExpMatchArray, regex: boolean): string {
+  if (!regex) return replacement
+  return replacement.replace(/\$(\$|&|\d{1,2}|<([^>]*)>)/g, (token, ref: string, name?: string) => {
+    if (ref === '$') return '$'
+    if (ref === '&') return match[0]
+    if (name !== undefined) return match.groups?.[name] ?? ''
+    const group = Number(ref)
+    return group > 0 && group < match.length ? (match[group] ?? '') : token
+  })
+}
+
+function locate(content: string, index: number, length: number) {
+  const lineStart = content.lastIndexOf('\n', index - 1) + 1
+  const lineEndIndex = content.indexOf('\n', index + length)
+  const lineEnd = lineEndIndex === -1 ? content.length : lineEndIndex
+  let line = 1
+  for (let i = content.indexOf('\n'); i !== -1 && i < index; i = content.indexOf('\n', i + 1)) line++
+  return {
+    line,
+    column: index - lineStart + 1,
+    before: content.slice(Math.max(lineStart, index - CONTEXT_CHARS), index).trimStart(),
+    after: content.slice(index + length, Math.min(lineEnd, index + length + CONTEXT_CHARS)).trimEnd(),
+  }
+}
+
+/** Lists every match of the query in `content`, with its replacement and surrounding context. */
+export function findMatches(content: string, options: FindOptions, replacement: string): TextMatch[] {
+  if (!options.query) return []
+  const pattern = buildPattern(options)
+  const ranges: Array<[number, number]> = options.textOnly ? textRanges(content) : [[0, content.length]]
+
+  const matches: TextMatch[] = []
+  for (const [start, end] of ranges) {
+    // Matching each text range on its own keeps matches from spanning markup
+    for (const match of content.slice(start, end).matchAll(pattern)) {
+      if (match[0] === '') continue
+      const index = start + match.index
+      matches.push({
+        index,
+        text: match[0],
+        replacement: expandReplacement(replacement, match, options.regex),
+        ...locate(content, index, match[0].length),
+      })
+    }
+  }
+  return matches
+}
+
+/** Applies the given matches, which must come from findMatches on this exact content. */
+export function applyMatches(content: string, matches: TextMatch[]): string {
+  return [...matches]
+    .sort((a, b) => b.index - a.index)
+    .reduce(
+      (result, match) => result.slice(0, match.index) + match.replacement + result.slice(match.index + match.text.length),
+      content
+    )
+}
+
+export interface FileMatches extends SnippetRef {
+  // Version the matches were found in; replacing fails if the file changed since
+  version: string
+  matches: TextMatch[]
+}
+
+export interface ReplaceSelection {
+  path: string
+  version: string
+  // TextMatch.index of each match to replace
+  indexes: number[]
+}
+
+export interface ReplaceResult {
+  path: string
+  replaced: number
+  // The saved file; null when nothing was written
+  file: ContentFile | null
+  error: string | null
+}
@@ -0,0 +1,105 @@
+import { promises as fs } from 'fs'
+import path from 'path'
+import { CONTENT_ROOT, PUBLIC_PREFIX } from './paths'
+import type { ResolvedContentPath } from './store'
+import type { HistoryEntry, HistorySnapshot } from './types'
+
+// Snapshots live in content-types/.history/<path of the file>/<timestamp><ext>. Dot-folders
+// are never synced to public/ and are rejected by resolveContentPath, so they stay private.
+const HISTORY_ROOT = path.join(CONTENT_ROOT, '.history')
+
+const SNAPSHOT_ID_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z$/
+
+/** Where the snapshots of a file are kept. */
+export function historyDir(resolved: ResolvedContentPath): string {
+  return path.join(HISTORY_ROOT, ...resolved.publicPath.slice(PUBLIC_PREFIX.length + 1).split('/'))
+}
+
+// ISO timestamps with the colons and dot swapped out, so they sort and are valid file names
+function snapshotId(date: Date): string {
+  return date.toISOString().replace(/[:.]/g, '-')
+}
+
+function snapshotDate(id: string): string {
+  return id.replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z')
+}
+
+async function readText(file: string): Promise<string | null> {
+  try {
+    return await fs.readFile(file, 'utf8')
+  } catch (err) {
+    if ((err as NodeJS.ErrnoException).code === 'ENOENT') return null
+    throw err
+  }
+}
+
+async function snapshotIds(dir: string, ext: string): Promise<string[]> {
+  let names: string[]
+  try {
+    names = await fs.readdir(dir)
+  } catch (err) {
+    if ((err as NodeJS.ErrnoException).code === 'ENOENT') return []
+    throw err
+  }
+  return names
+    .filter((name) => name.endsWith(ext) && SNAPSHOT_ID_PATTERN.test(name.slice(0, -ext.length)))
+    .map((name) => name.slice(0, -ext.length))
+    .sort()
+}
+
+async function writeSnapshot(dir: string, ext: string, id: string, content: string): Promise<void> {
+  await fs.mkdir(dir, { recursive: true })
+  await fs.writeFile(path.join(dir, `${id}${ext}`), content, 'utf8')
+}
+
+export interface ReplacedVersion {
+  content: string
+  modifiedAt: Date
+}
+
+/**
+ * Records `content` as the newest version of a file, unless it matches the newest one.
+ * The first snapshot of a file that already existed also keeps the version it replaced,
+ * dated by its modification time, so what was there before the admin can be restored.
+ */
+export async function recordSnapshot(
+  resolved: ResolvedContentPath,
+  previous: ReplacedVersion | null,
+  content: string
+): Promise<void> {
+  const dir = historyDir(resolved)
+  const ext = path.extname(resolved.sourceFile)
+  const ids = await snapshotIds(dir, ext)
+
+  if (ids.length === 0 && previous && previous.content !== content) {
+    await writeSnapshot(dir, ext, snapshotId(previous.modifiedAt), previous.content)
+  }
+  const latest = ids.length > 0 ? await readText(path.join(dir, `${ids[ids.length - 1]}${ext}`)) : null
+  if (latest !== content) {
+    await writeSnapshot(dir, ext, snapshotId(new Date()), content)
+  }
+}
+
+/** Lists the saved versions of a file, newest first, flagging the newest one matching the file on disk. */
+export async function listHistory(resolved: ResolvedContentPath): Promise<HistoryEntry[]> {
+  const dir = historyDir(resolved)
+  const ext = path.extname(resolved.sourceFile)
+  const [ids, current] = await Promise.all([snapshotIds(dir, ext), readText(resolved.sourceFile)])
+  const contents = await Promise.all(ids.map((id) => readText(path.join(dir, `${id}${ext}`))))
+
+  let foundCurrent = false
+  return ids
+    .map((id, index) => ({ id, content: contents[index] ?? '' }))
+    .reverse()
+    .map(({ id, content }) => {
+      const isCurrent = !foundCurrent && content === current
+      foundCurrent ||= isCurrent
+      return { id, savedAt: snapshotDate(id), size: content.length, current: isCurrent }
+    })
+}
+
+export async function readSnapshot(resolved: ResolvedContentPath, id: string): Promise<HistorySnapshot | null> {
+  if (!SNAPSHOT_ID_PATTERN.test(id)) return null
+  const content = await readText(path.join(historyDir(resolved), `${id}${path.extname(resolved.sourceFile)}`))
+  return content === null ? null : { id, savedAt: snapshotDate(id), content }
+}
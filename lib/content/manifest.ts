@@ -0,0 +1,141 @@
+import type { ProductStatus } from './types'
+
+export const MANIFEST_FILE = 'product.json'
+
+export const PRODUCT_STATUSES: readonly ProductStatus[] = ['active', 'draft', 'sandbox', 'archived']
+
+export const COMPONENT_ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/
+
+// "namespace.key" of a Shopify product metafield; Shopify allows letters, digits, - and _ in both
+export const METAFIELD_PATTERN = /^[A-Za-z0-9_-]{3,255}\.[A-Za-z0-9_-]{2,64}$/
+
+// METAFIELD_PATTERN in words, for error messages and hints
+export const METAFIELD_RULES = 'a namespace of 3-255 and a key of 2-64 letters, digits, - or _'
+
+// Where Shopify keeps metafields defined by the merchant
+export const DEFAULT_METAFIELD_NAMESPACE = 'custom'
+
+export interface ManifestComponent {
+  id: string
+  label: string
+  optional: boolean
+  // Product metafield the Shopify export writes the component to; see componentMetafield
+  metafield?: string
+}
+
+/** The component's metafield, by default `custom.<id>` with Shopify's snake_case keys. */
+export function componentMetafield(component: Pick<ManifestComponent, 'id' | 'metafield'>): string {
+  return component.metafield ?? `${DEFAULT_METAFIELD_NAMESPACE}.${component.id.replace(/-/g, '_')}`
+}
+
+export interface ProductManifest {
+  brand: string
+  displayName: string
+  description: string
+  status: ProductStatus
+  components: ManifestComponent[]
+}
+
+export class ManifestError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = 'ManifestError'
+  }
+}
+
+function requireString(value: unknown, field: string): string {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new ManifestError(`"${field}" must be a non-empty string`)
+  }
+  return value
+}
+
+function parseComponent(value: unknown, index: number): ManifestComponent {
+  if (!value || typeof value !== 'object') {
+    throw new ManifestError(`"components[${index}]" must be an object`)
+  }
+  const entry = value as Record<string, unknown>
+  const id = requireString(entry.id, `components[${index}].id`)
+  if (!COMPONENT_ID_PATTERN.test(id)) {
+    throw new ManifestError(`"components[${index}].id" must be a kebab-case file name, got "${id}"`)
+  }
+  if (entry.optional !== undefined && typeof entry.optional !== 'boolean') {
+    throw new ManifestError(`"components[${index}].optional" must be a boolean`)
+  }
+  const { metafield } = entry
+  if (metafield !== undefined && (typeof metafield !== 'string' || !METAFIELD_PATTERN.test(metafield))) {
+    throw new ManifestError(
+      `"components[${index}].metafield" must be "namespace.key", with ${METAFIELD_RULES}; ` +
+        `got ${JSON.stringify(metafield)}`
+    )
+  }
+  return {
+    id,
+    label: requireString(entry.label, `components[${index}].label`),
+    optional: entry.optional === true,
+    ...(typeof metafield === 'string' ? { metafield } : {}),
+  }
+}
+
+/**
+ * Validates a product.json document. Throws ManifestError naming the offending
+ * field so the message can be shown to editors as-is.
+ */
+export function parseProductManifest(raw: string): ProductManifest {
+  let data: unknown
+  try {
+    data = JSON.parse(raw)
+  } catch (err) {
+    throw new ManifestError(`Invalid JSON: ${err instanceof Error ? err.message : String(err)}`)
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new ManifestError('Manifest must be a JSON object')
+  }
+
+  const manifest = data as Record<string, unknown>
+  const status = manifest.status ?? 'active'
+  if (!PRODUCT_STATUSES.includes(status as ProductStatus)) {
+    throw new ManifestError(`"status" must be one of ${PRODUCT_STATUSES.join(', ')}`)
+  }
+  if (!Array.isArray(manifest.components) || manifest.components.length === 0) {
+    throw new ManifestError('"components" must be a non-empty array')
+  }
+
+  const components = manifest.components.map(parseComponent)
+  const seen = new Set<string>()
+  for (const component of components) {
+    if (seen.has(component.id)) {
+      throw new ManifestError(`Component "${component.id}" is declared more than once`)
+    }
+    seen.add(component.id)
+  }
+
+  return {
+    brand: requireString(manifest.brand, 'brand'),
+    displayName: requireString(manifest.displayName, 'displayName'),
+    description: typeof manifest.description === 'string' ? manifest.description : '',
+    status: status as ProductStatus,
+    components,
+  }
+}
+
+/** Writes a manifest in the layout of the hand-written ones: one component per line. */
+export function serializeProductManifest(manifest: ProductManifest): string {
+  const components = manifest.components.map((c) => {
+    const optional = c.optional ? ', "optional": true' : ''
+    const metafield = c.metafield ? `, "metafield": ${JSON.stringify(c.metafield)}` : ''
+    return `    { "id": ${JSON.stringify(c.id)}, "label": ${JSON.stringify(c.label)}${optional}${metafield} }`
+  })
+  return [
+    '{',
+    `  "brand": ${JSON.stringify(manifest.brand)},`,
+    `  "displayName": ${JSON.stringify(manifest.displayName)},`,
+    `  "description": ${JSON.stringify(manifest.description)},`,
+    `  "status": ${JSON.stringify(manifest.status)},`,
+    '  "components": [',
+    components.join(',\n'),
+    '  ]',
+    '}',
+    '',
+  ].join('\n')
+}
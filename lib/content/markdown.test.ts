@@ -0,0 +1,68 @@
+import { describe, expect, it } from 'vitest'
+import { componentFormat, componentHtml, markdownToHtml } from './markdown'
+
+// The fragment markdownToHtml wraps a single paragraph in
+const paragraph = (html: string) => `<div>\n  <p>${html}</p>\n</div>\n`
+
+describe('markdownToHtml', () => {
+  it('compiles headings, paragraphs and lists', () => {
+    const markdown = ['## Tasting notes', '', 'Rich and **sweet**,', 'with _cocoa_.', '', '- Vanilla', '- Caramel']
+    expect(markdownToHtml(markdown.join('\n'))).toBe(
+      [
+        '<div>',
+        '  <h2>Tasting notes</h2>',
+        '  <p>Rich and <strong>sweet</strong>, with <em>cocoa</em>.</p>',
+        '  <ul>',
+        '    <li>Vanilla</li>',
+        '    <li>Caramel</li>',
+        '  </ul>',
+        '</div>',
+        '',
+      ].join('\n')
+    )
+  })
+
+  it('escapes raw HTML but keeps entity references', () => {
+    expect(markdownToHtml('<script>alert(1)</script> & more &mdash; <b>bold</b>')).toBe(
+      paragraph('&lt;script&gt;alert(1)&lt;/script&gt; &amp; more &mdash; &lt;b&gt;bold&lt;/b&gt;')
+    )
+  })
+
+  it('leaves snake_case names alone', () => {
+    expect(markdownToHtml('Set pg_max_size')).toBe(paragraph('Set pg_max_size'))
+  })
+
+  it('keeps links and images with safe URLs', () => {
+    expect(markdownToHtml('[Shop](https://example.com/?a=1&b="2" "Our shop")')).toBe(
+      paragraph('<a href="https://example.com/?a=1&amp;b=&quot;2&quot;" title="Our shop">Shop</a>')
+    )
+    expect(markdownToHtml('[Mail](mailto:hi@example.com) [Top](#top) [Care](/pages/care)')).toBe(
+      paragraph('<a href="mailto:hi@example.com">Mail</a> <a href="#top">Top</a> <a href="/pages/care">Care</a>')
+    )
+    expect(markdownToHtml('![A "jar"](/images/jar.png)')).toBe(
+      paragraph('<img src="/images/jar.png" alt="A &quot;jar&quot;">')
+    )
+  })
+
+  it('drops links and images with unsafe URLs, keeping their text', () => {
+    expect(markdownToHtml('[Click](javascript:alert(1))')).toBe(paragraph('Click'))
+    expect(markdownToHtml('[Click](JavaScript:alert(1))')).toBe(paragraph('Click'))
+    expect(markdownToHtml('[Click](\u0001javascript:alert(1))')).toBe(paragraph('Click'))
+    expect(markdownToHtml('![<Jar>](data:image/svg+xml,x)')).toBe(paragraph('&lt;Jar&gt;'))
+  })
+
+  it('treats backslash-escaped markup as text', () => {
+    expect(markdownToHtml('\\*not em\\* and \\[not a link\\](https://example.com)')).toBe(
+      paragraph('*not em* and [not a link](https://example.com)')
+    )
+  })
+})
+
+describe('componentHtml', () => {
+  it('compiles Markdown components and passes HTML through', () => {
+    expect(componentFormat('/content-types/x/description.md')).toBe('markdown')
+    expect(componentFormat('/content-types/x/description.html')).toBe('html')
+    expect(componentHtml('description.md', 'Hi <b>')).toBe(paragraph('Hi &lt;b&gt;'))
+    expect(componentHtml('description.html', 'Hi <b>')).toBe('Hi <b>')
+  })
+})
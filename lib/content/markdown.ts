@@ -0,0 +1,157 @@
+import { escapeHtml } from './text'
+
+// Compiles the Markdown a product component may be authored in to the same HTML subset the
+// hand-written fragments use: headings, p, strong, em, ul/ol, a and img, inside a <div>.
+// Anything else, raw HTML included, is escaped and shows up as text rather than reaching
+// Shopify unchecked.
+
+export const MARKDOWN_EXTENSION = '.md'
+
+// A product component is <id>.html, or <id>.md when it is authored in Markdown
+export const COMPONENT_EXTENSIONS: readonly string[] = ['.html', MARKDOWN_EXTENSION]
+
+export type ComponentFormat = 'html' | 'markdown'
+
+type Block =
+  | { type: 'heading'; level: number; text: string }
+  | { type: 'paragraph'; lines: string[] }
+  | { type: 'list'; ordered: boolean; items: string[][] }
+
+const HEADING_PATTERN = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/
+const UNORDERED_ITEM_PATTERN = /^ {0,3}[-*+]\s+(.*)$/
+const ORDERED_ITEM_PATTERN = /^ {0,3}\d{1,9}[.)]\s+(.*)$/
+// Lines of an item after its first must be indented, or they start a paragraph
+const CONTINUATION_PATTERN = /^\s+(\S.*)$/
+
+function parseBlocks(markdown: string): Block[] {
+  const blocks: Block[] = []
+  let current: Block | null = null
+
+  for (const line of markdown.replace(/\r\n?/g, '\n').split('\n')) {
+    if (!line.trim()) {
+      current = null
+      continue
+    }
+
+    const heading = line.match(HEADING_PATTERN)
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] ?? '' })
+      current = null
+      continue
+    }
+
+    const unordered = line.match(UNORDERED_ITEM_PATTERN)
+    const ordered = unordered ? null : line.match(ORDERED_ITEM_PATTERN)
+    const item = unordered ?? ordered
+    if (item) {
+      const isOrdered = Boolean(ordered)
+      if (current?.type !== 'list' || current.ordered !== isOrdered) {
+        current = { type: 'list', ordered: isOrdered, items: [] }
+        blocks.push(current)
+      }
+      current.items.push([item[1]])
+      continue
+    }
+
+    const continuation = line.match(CONTINUATION_PATTERN)
+    if (current?.type === 'list' && continuation) {
+      current.items[current.items.length - 1].push(continuation[1])
+    } else if (current?.type === 'paragraph') {
+      current.lines.push(line.trim())
+    } else {
+      current = { type: 'paragraph', lines: [line.trim()] }
+      blocks.push(current)
+    }
+  }
+  return blocks
+}
+
+// Like escapeHtml, but keeps entity references such as &mdash; that authors type by hand
+function escapeText(text: string): string {
+  return text
+    .replace(/&(?!#\d+;|#x[0-9a-f]+;|[a-z][a-z0-9]*;)/gi, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+}
+
+// Schemes a link or image may use; relative URLs and #anchors are always allowed
+const SAFE_URL_PATTERN = /^(?:https?:|mailto:|tel:|(?![a-z][a-z0-9+.-]*:))/i
+
+function safeUrl(url: string): string | null {
+  // Browsers ignore control characters in a scheme, so "\u0001javascript:" must not pass as relative
+  const compact = Array.from(url)
+    .filter((char) => char > ' ')
+    .join('')
+  return SAFE_URL_PATTERN.test(compact) ? url : null
+}
+
+function attribute(name: string, value: string | undefined): string {
+  return value ? ` ${name}="${escapeHtml(value)}"` : ''
+}
+
+// In order: a backslash escape, an image, a link, strong and em. Underscores only count
+// at word boundaries, so snake_case names are left alone.
+const INLINE_PATTERN =
+  /\\([\\`*_{}[\]()#+\-.!])|!\[([^\]]*)\]\(\s*<?((?:[^\s()<>]|\([^\s()<>]*\))*)>?(?:\s+"([^"]*)")?\s*\)|\[((?:[^\]\\]|\\.)+)\]\(\s*<?((?:[^\s()<>]|\([^\s()<>]*\))*)>?(?:\s+"([^"]*)")?\s*\)|\*\*(?=\S)((?:[^*]|\*(?!\*))+?)\*\*|(?<![\p{L}\p{N}])__(?=\S)(.+?)__(?![\p{L}\p{N}])|\*(?=[^\s*])((?:[^*]|\*\*[^*]+\*\*)+?)\*|(?<![\p{L}\p{N}])_(?=[^\s_])(.+?)_(?![\p{L}\p{N}])/gu
+
+function inlineHtml(text: string): string {
+  let html = ''
+  let last = 0
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    const index = match.index ?? 0
+    html += escapeText(text.slice(last, index))
+    last = index + match[0].length
+
+    const [, escaped, alt, src, imageTitle, label, href, linkTitle, strong, strongUnderscore, em, emUnderscore] = match
+    if (escaped !== undefined) {
+      html += escapeHtml(escaped)
+    } else if (src !== undefined) {
+      const url = safeUrl(src)
+      html +=
+        url === null
+          ? escapeText(alt)
+          : `<img src="${escapeHtml(url)}" alt="${escapeHtml(alt)}"${attribute('title', imageTitle)}>`
+    } else if (label !== undefined) {
+      const url = safeUrl(href)
+      const content = inlineHtml(label)
+      html += url === null ? content : `<a href="${escapeHtml(url)}"${attribute('title', linkTitle)}>${content}</a>`
+    } else if (strong !== undefined || strongUnderscore !== undefined) {
+      html += `<strong>${inlineHtml(strong ?? strongUnderscore)}</strong>`
+    } else {
+      html += `<em>${inlineHtml(em ?? emUnderscore)}</em>`
+    }
+  }
+  return html + escapeText(text.slice(last))
+}
+
+// Lines of a paragraph or list item are joined with spaces, as HTML would render them
+function linesHtml(lines: string[]): string {
+  return inlineHtml(lines.join('\n')).replace(/\n/g, ' ')
+}
+
+function blockHtml(block: Block): string[] {
+  switch (block.type) {
+    case 'heading':
+      return [`  <h${block.level}>${inlineHtml(block.text)}</h${block.level}>`]
+    case 'paragraph':
+      return [`  <p>${linesHtml(block.lines)}</p>`]
+    case 'list': {
+      const tag = block.ordered ? 'ol' : 'ul'
+      return [`  <${tag}>`, ...block.items.map((lines) => `    <li>${linesHtml(lines)}</li>`), `  </${tag}>`]
+    }
+  }
+}
+
+/** Compiles Markdown to a component fragment: one <div> of headings, paragraphs and lists. */
+export function markdownToHtml(markdown: string): string {
+  return ['<div>', ...parseBlocks(markdown).flatMap(blockHtml), '</div>', ''].join('\n')
+}
+
+export function componentFormat(path: string): ComponentFormat {
+  return path.endsWith(MARKDOWN_EXTENSION) ? 'markdown' : 'html'
+}
+
+/** The HTML a component renders and copies as: its file as-is, or compiled when it is Markdown. */
+export function componentHtml(path: string, content: string): string {
+  return componentFormat(path) === 'markdown' ? markdownToHtml(content) : content
+}
@@ -0,0 +1,66 @@
+import type { ContentPage, ContentProduct, ContentRegistry, ContentTemplate } from './types'
+
+export type ViewMode = 'rendered' | 'html' | 'split'
+
+const DEFAULT_VIEW_MODE: ViewMode = 'rendered'
+const VIEW_MODES: readonly ViewMode[] = ['rendered', 'html', 'split']
+
+// The announcements page.html lives at the section root; other pages get their own segment
+const MAIN_ANNOUNCEMENTS_PAGE = 'page'
+
+export function parseViewMode(value: string | null | undefined): ViewMode {
+  return VIEW_MODES.includes(value as ViewMode) ? (value as ViewMode) : DEFAULT_VIEW_MODE
+}
+
+function withView(href: string, view: ViewMode = DEFAULT_VIEW_MODE): string {
+  return view === DEFAULT_VIEW_MODE ? href : `${href}?view=${view}`
+}
+
+export function announcementHref(page: ContentPage, view?: ViewMode): string {
+  const href = page.id === MAIN_ANNOUNCEMENTS_PAGE ? '/announcements' : `/announcements/${page.id}`
+  return withView(href, view)
+}
+
+export function productHref(
+  product: Pick<ContentProduct, 'brand' | 'id'>,
+  componentId?: string | null,
+  view?: ViewMode
+): string {
+  const base = `/products/${product.brand}/${product.id}`
+  return withView(componentId ? `${base}/${componentId}` : base, view)
+}
+
+/** Opens a component straight in the HTML editor, e.g. for a product that was just duplicated. */
+export function productEditHref(product: Pick<ContentProduct, 'brand' | 'id'>, componentId: string): string {
+  return `${productHref(product, componentId, 'html')}&edit=1`
+}
+
+export function templateHref(template: ContentTemplate): string {
+  return `/templates/${template.contentType}/${template.id}`
+}
+
+export const FIND_REPLACE_HREF = '/find-replace'
+export const SPEC_COMPARISON_HREF = '/spec-comparison'
+
+export function allProducts(registry: ContentRegistry): ContentProduct[] {
+  return registry.brands.flatMap((brand) => brand.products)
+}
+
+export function findAnnouncementPage(registry: ContentRegistry, pageId = MAIN_ANNOUNCEMENTS_PAGE): ContentPage | null {
+  return registry.announcements.find((p) => p.id === pageId) ?? null
+}
+
+export function findProduct(registry: ContentRegistry, brandId: string, productId: string): ContentProduct | null {
+  return allProducts(registry).find((p) => p.brand === brandId && p.id === productId) ?? null
+}
+
+export function findTemplate(registry: ContentRegistry, contentType: string, templateId: string): ContentTemplate | null {
+  return registry.templates.find((t) => t.contentType === contentType && t.id === templateId) ?? null
+}
+
+export function defaultHref(registry: ContentRegistry): string | null {
+  const [firstPage] = registry.announcements
+  if (firstPage) return announcementHref(firstPage)
+  const [firstProduct] = allProducts(registry)
+  return firstProduct ? productHref(firstProduct, firstProduct.components[0]?.id) : null
+}
@@ -0,0 +1,10 @@
+import path from 'path'
+
+// Canonical source; public/content-types is generated from it by scripts/content-sync.js
+export const CONTENT_ROOT = path.join(process.cwd(), 'content-types')
+export const PUBLIC_CONTENT_ROOT = path.join(process.cwd(), 'public', 'content-types')
+export const PUBLIC_PREFIX = '/content-types'
+
+export function toPublicPath(...segments: string[]): string {
+  return [PUBLIC_PREFIX, ...segments].join('/')
+}
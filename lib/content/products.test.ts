@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest'
+import { renameProduct } from './products'
+
+const braaid = { displayName: 'SKëLD - Braaid', name: 'Braaid', slug: 'braaid' }
+const tholtan = { displayName: 'SKëLD - Tholtan', name: 'Tholtan', slug: 'tholtan' }
+
+describe('renameProduct', () => {
+  it('replaces the display name, the name, its upper case and the slug', () => {
+    const content = [
+      '<h2>SKëLD - Braaid</h2>',
+      '<p>Braaid is a dessert-like blend.</p>',
+      '<span>BRAAID</span>',
+      '<a href="/products/skeld/braaid">More</a>',
+    ].join('\n')
+    expect(renameProduct(content, braaid, tholtan)).toBe(
+      [
+        '<h2>SKëLD - Tholtan</h2>',
+        '<p>Tholtan is a dessert-like blend.</p>',
+        '<span>THOLTAN</span>',
+        '<a href="/products/skeld/tholtan">More</a>',
+      ].join('\n')
+    )
+  })
+
+  it('prefers the display name over the name it contains', () => {
+    const to = { displayName: 'Other Brand - Tholtan', name: 'Tholtan', slug: 'tholtan' }
+    expect(renameProduct('SKëLD - Braaid and Braaid', braaid, to)).toBe('Other Brand - Tholtan and Tholtan')
+  })
+
+  it('only replaces whole words', () => {
+    expect(renameProduct('Braaids, Braaidmore, braaid-2 and ünbraaid', braaid, tholtan)).toBe(
+      'Braaids, Braaidmore, tholtan-2 and ünbraaid'
+    )
+  })
+
+  it('treats names as text, not patterns', () => {
+    const from = { displayName: 'Brand - A+B (v2)', name: 'A+B (v2)', slug: 'a-b-v2' }
+    const to = { displayName: 'Brand - C', name: 'C', slug: 'c' }
+    expect(renameProduct('Try A+B (v2), not AAB (v2)', from, to)).toBe('Try C, not AAB (v2)')
+  })
+
+  it('keeps a duplicate under the same name unchanged', () => {
+    const content = '<h2>SKëLD - Braaid</h2>'
+    expect(renameProduct(content, braaid, braaid)).toBe(content)
+  })
+})
@@ -0,0 +1,259 @@
+import { promises as fs } from 'fs'
+import path from 'path'
+import { EXTENDED_PRODUCT, TEMPLATES_DIR } from './contentTypes'
+import { historyDir } from './history'
+import {
+  COMPONENT_ID_PATTERN,
+  componentMetafield,
+  MANIFEST_FILE,
+  ManifestError,
+  parseProductManifest,
+  serializeProductManifest,
+  type ManifestComponent,
+  type ProductManifest,
+} from './manifest'
+import { COMPONENT_EXTENSIONS } from './markdown'
+import { toPublicPath } from './paths'
+import {
+  ContentConflictError,
+  ContentNotFoundError,
+  ContentPathError,
+  readIfExists,
+  resolveContentPath,
+  writeContentFile,
+  writeMirrored,
+} from './store'
+import { fillTemplate, parsePlaceholders, placeholderDefaults } from './templates'
+import { slugify, titleCase } from './text'
+import type { ContentComponent } from './types'
+
+// Components every new product starts with, seeded from extended-product/templates/<id>.html
+const DEFAULT_COMPONENTS: readonly ManifestComponent[] = [
+  { id: 'specifications', label: 'Specifications', optional: false },
+  { id: 'tasting-notes', label: 'Tasting Notes', optional: false },
+  { id: 'maker-comments', label: 'Maker Comments', optional: false },
+  { id: 'origin-story', label: 'Origin Story', optional: false },
+]
+
+export interface NewProduct {
+  brandName: string
+  // Folder of an existing brand, which need not be its slugified name; derived from the brand name when omitted
+  brand?: string
+  productName: string
+  // Folder name; derived from the product name when omitted
+  slug?: string
+  description: string
+  // Existing product whose components are copied; the component templates otherwise
+  seed: { brand: string; product: string } | null
+}
+
+export interface CreatedProduct {
+  brand: string
+  id: string
+  components: ContentComponent[]
+}
+
+interface ProductNames {
+  displayName: string
+  name: string
+  slug: string
+}
+
+export interface NewComponent {
+  id: string
+  label: string
+  content: string
+}
+
+function requireSegment(value: unknown, name: string): string {
+  if (typeof value !== 'string' || !COMPONENT_ID_PATTERN.test(value)) {
+    throw new ContentPathError(`"${name}" must be a kebab-case folder name`)
+  }
+  return value
+}
+
+async function loadManifest(brand: string, product: string) {
+  const resolved = resolveContentPath(toPublicPath(EXTENDED_PRODUCT, brand, product, MANIFEST_FILE), ['.json'])
+  const raw = await readIfExists(resolved.sourceFile)
+  if (raw === null) throw new ContentNotFoundError(resolved.publicPath)
+  return { resolved, manifest: parseProductManifest(raw) }
+}
+
+function productNames(manifest: ProductManifest, productId: string): ProductNames {
+  const prefix = `${manifest.brand} - `
+  const name = manifest.displayName.startsWith(prefix)
+    ? manifest.displayName.slice(prefix.length)
+    : titleCase(productId)
+  return { displayName: manifest.displayName, name, slug: productId }
+}
+
+function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Replaces a product's display name ("SKëLD - Braaid"), its bare name ("Braaid"), the
+ * upper-cased name ("BRAAID") and its slug ("braaid", as used in ids and links) with
+ * another product's. Only whole words match, so "Braaids" or "Braaidmore" are left alone.
+ */
+export function renameProduct(content: string, from: ProductNames, to: ProductNames): string {
+  const replacements = new Map<string, string>()
+  for (const [search, replacement] of [
+    [from.displayName, to.displayName],
+    [from.name, to.name],
+    [from.name.toUpperCase(), to.name.toUpperCase()],
+    [from.slug, to.slug],
+  ]) {
+    if (search && !replacements.has(search)) replacements.set(search, replacement)
+  }
+  // Longest first, so the display name wins over the bare name it contains
+  const alternatives = Array.from(replacements.keys())
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'gu')
+  return content.replace(pattern, (match) => replacements.get(match) ?? match)
+}
+
+// The content of each component of a new product, and the file name it is written as
+type SeededComponents = Map<ManifestComponent, { file: string; content: string }>
+
+async function seedFromTemplates(names: ProductNames): Promise<SeededComponents> {
+  const seeded: SeededComponents = new Map()
+  for (const component of DEFAULT_COMPONENTS) {
+    const resolved = resolveContentPath(toPublicPath(EXTENDED_PRODUCT, TEMPLATES_DIR, `${component.id}.html`))
+    const template = await readIfExists(resolved.sourceFile)
+    if (template === null) throw new ContentNotFoundError(resolved.publicPath)
+    const fields = parsePlaceholders(template)
+    const values = { ...placeholderDefaults(fields), 'product-name': names.displayName, product: names.name }
+    seeded.set(component, { file: `${component.id}.html`, content: fillTemplate(template, fields, values) })
+  }
+  return seeded
+}
+
+async function seedFromProduct(
+  brand: string,
+  product: string,
+  names: ProductNames
+): Promise<SeededComponents> {
+  const { manifest } = await loadManifest(brand, product)
+  const from = productNames(manifest, product)
+  const seeded: SeededComponents = new Map()
+  for (const component of manifest.components) {
+    // Markdown components stay Markdown in the copy
+    let found: { file: string; content: string } | null = null
+    for (const extension of COMPONENT_EXTENSIONS) {
+      const file = `${component.id}${extension}`
+      const resolved = resolveContentPath(toPublicPath(EXTENDED_PRODUCT, brand, product, file))
+      const content = await readIfExists(resolved.sourceFile)
+      if (content !== null) {
+        found = { file, content }
+        break
+      }
+    }
+    // Optional components without a file are skipped, as in the registry
+    if (found === null && component.optional) continue
+    if (found === null) {
+      throw new ContentNotFoundError(toPublicPath(EXTENDED_PRODUCT, brand, product, `${component.id}.html`))
+    }
+    seeded.set(component, { file: found.file, content: renameProduct(found.content, from, names) })
+  }
+  return seeded
+}
+
+/**
+ * Scaffolds `<brand>/<product>/` from the product names, with its components seeded from
+ * the component templates or copied from an existing product, and writes its manifest
+ * last so the registry never lists a product whose files are still being written. When a
+ * write fails the folder is removed again, so creating the product can simply be retried.
+ */
+export async function createProduct(input: NewProduct): Promise<CreatedProduct> {
+  const brandName = input.brandName.trim()
+  const name = input.productName.trim()
+  if (!brandName || !name) throw new ManifestError('Brand and product name must not be empty')
+  const brand = input.brand === undefined ? slugify(brandName) : requireSegment(input.brand, 'brand')
+  const id = input.slug?.trim() || slugify(name)
+  if (!brand || !id) throw new ManifestError('Brand and product name need at least one letter or digit')
+  if (!COMPONENT_ID_PATTERN.test(id)) throw new ManifestError(`Product slug must be kebab-case, got "${id}"`)
+  if (brand === TEMPLATES_DIR) throw new ManifestError(`"${brandName}" is reserved for component templates`)
+
+  const manifestPath = resolveContentPath(toPublicPath(EXTENDED_PRODUCT, brand, id, MANIFEST_FILE), ['.json'])
+  const productDir = path.dirname(manifestPath.sourceFile)
+  if (await fs.stat(productDir).then(() => true, () => false)) {
+    throw new ContentConflictError(`${brand}/${id} already exists`)
+  }
+
+  const names = { displayName: `${brandName} - ${name}`, name, slug: id }
+  const seeded = input.seed
+    ? await seedFromProduct(
+        requireSegment(input.seed.brand, 'brand'),
+        requireSegment(input.seed.product, 'product'),
+        names
+      )
+    : await seedFromTemplates(names)
+
+  // Snapshots can outlive a deleted product of the same name; those are kept on failure
+  const productHistory = path.dirname(historyDir(manifestPath))
+  const hadHistory = await fs.stat(productHistory).then(() => true, () => false)
+
+  const components: ContentComponent[] = []
+  try {
+    for (const [component, { file: name, content }] of seeded) {
+      const publicPath = toPublicPath(EXTENDED_PRODUCT, brand, id, name)
+      const file = await writeContentFile(publicPath, content, { baseVersion: null })
+      components.push({
+        id: component.id,
+        label: component.label,
+        path: file.path,
+        metafield: componentMetafield(component),
+      })
+    }
+    const manifest: ProductManifest = {
+      brand: brandName,
+      displayName: names.displayName,
+      description: input.description.trim(),
+      status: 'draft',
+      components: Array.from(seeded.keys()),
+    }
+    await writeMirrored(manifestPath, serializeProductManifest(manifest))
+  } catch (err) {
+    // The folder did not exist before, so everything in it and its mirror was written above
+    const dirs = [productDir, path.dirname(manifestPath.publicFile), ...(hadHistory ? [] : [productHistory])]
+    await Promise.all(dirs.map((dir) => fs.rm(dir, { recursive: true, force: true })))
+    throw err
+  }
+
+  return { brand, id, components }
+}
+
+/**
+ * Creates `<id>.html` in a product folder and appends it to the product's manifest, so the
+ * new component shows up in the registry straight away.
+ */
+export async function addProductComponent(
+  brandId: unknown,
+  productId: unknown,
+  component: NewComponent
+): Promise<ContentComponent> {
+  const brand = requireSegment(brandId, 'brand')
+  const product = requireSegment(productId, 'product')
+  if (!COMPONENT_ID_PATTERN.test(component.id)) {
+    throw new ManifestError(`Component id must be kebab-case, got "${component.id}"`)
+  }
+  if (!component.label.trim()) throw new ManifestError('Component label must not be empty')
+
+  const { resolved, manifest } = await loadManifest(brand, product)
+  if (manifest.components.some((c) => c.id === component.id)) {
+    throw new ContentConflictError(`${brand}/${product} already has a "${component.id}" component`)
+  }
+
+  const file = await writeContentFile(
+    toPublicPath(EXTENDED_PRODUCT, brand, product, `${component.id}.html`),
+    component.content,
+    { baseVersion: null }
+  )
+  const added: ManifestComponent = { id: component.id, label: component.label.trim(), optional: false }
+  manifest.components.push(added)
+  await writeMirrored(resolved, serializeProductManifest(manifest))
+
+  return { id: added.id, label: added.label, path: file.path, metafield: componentMetafield(added) }
+}
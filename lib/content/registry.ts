@@ -0,0 +1,178 @@
+import { promises as fs, type Dirent } from 'fs'
+import path from 'path'
+import { ANNOUNCEMENTS, EXTENDED_PRODUCT, TEMPLATES_DIR } from './contentTypes'
+import {
+  componentMetafield,
+  MANIFEST_FILE,
+  ManifestError,
+  parseProductManifest,
+  type ProductManifest,
+} from './manifest'
+import { COMPONENT_EXTENSIONS } from './markdown'
+import { CONTENT_ROOT, toPublicPath } from './paths'
+import { titleCase } from './text'
+import type {
+  ContentBrand,
+  ContentComponent,
+  ContentPage,
+  ContentProduct,
+  ContentRegistry,
+  ContentTemplate,
+} from './types'
+
+const ANNOUNCEMENTS_DESCRIPTION =
+  'Dynamic announcement pages with color-coded banners, responsive design, and anchor navigation.'
+
+async function readDirIfExists(dir: string): Promise<Dirent[]> {
+  try {
+    return await fs.readdir(dir, { withFileTypes: true })
+  } catch (err) {
+    if ((err as NodeJS.ErrnoException).code === 'ENOENT') return []
+    throw err
+  }
+}
+
+function htmlFileIds(entries: Dirent[]): string[] {
+  return entries
+    .filter((entry) => entry.isFile() && entry.name.endsWith('.html'))
+    .map((entry) => entry.name.slice(0, -'.html'.length))
+    .sort()
+}
+
+// Component file names by id; more than one means both an .html and an .md exist
+function componentFileNames(entries: Dirent[]): Map<string, string[]> {
+  const files = new Map<string, string[]>()
+  for (const entry of entries) {
+    const extension = path.extname(entry.name)
+    if (!entry.isFile() || !COMPONENT_EXTENSIONS.includes(extension)) continue
+    const id = entry.name.slice(0, -extension.length)
+    files.set(id, [...(files.get(id) ?? []), entry.name].sort())
+  }
+  return files
+}
+
+function subdirectoryIds(entries: Dirent[]): string[] {
+  return entries
+    .filter((entry) => entry.isDirectory() && entry.name !== TEMPLATES_DIR && !entry.name.startsWith('.'))
+    .map((entry) => entry.name)
+    .sort()
+}
+
+async function loadAnnouncementPages(): Promise<ContentPage[]> {
+  const entries = await readDirIfExists(path.join(CONTENT_ROOT, ANNOUNCEMENTS))
+  return htmlFileIds(entries).map((id) => ({
+    id,
+    contentType: ANNOUNCEMENTS,
+    label: id === 'page' ? 'Preview' : titleCase(id),
+    title: id === 'page' ? 'Announcements Main Page' : `Announcements ${titleCase(id)}`,
+    description: ANNOUNCEMENTS_DESCRIPTION,
+    path: toPublicPath(ANNOUNCEMENTS, `${id}.html`),
+  }))
+}
+
+async function readManifest(productDir: string): Promise<ProductManifest> {
+  let raw: string
+  try {
+    raw = await fs.readFile(path.join(productDir, MANIFEST_FILE), 'utf8')
+  } catch (err) {
+    if ((err as NodeJS.ErrnoException).code === 'ENOENT') {
+      throw new ManifestError(`${MANIFEST_FILE} is missing`)
+    }
+    throw err
+  }
+  return parseProductManifest(raw)
+}
+
+function resolveComponents(
+  manifest: ProductManifest,
+  files: Map<string, string[]>,
+  publicDir: string[]
+): ContentComponent[] {
+  const missing = manifest.components.filter((c) => !c.optional && !files.has(c.id))
+  if (missing.length > 0) {
+    const names = missing.map((c) => `${c.id}.html`).join(', ')
+    throw new ManifestError(`Declared in ${MANIFEST_FILE} but not found: ${names}`)
+  }
+  const ambiguous = manifest.components.find((c) => (files.get(c.id)?.length ?? 0) > 1)
+  if (ambiguous) {
+    throw new ManifestError(`Only one of ${files.get(ambiguous.id)?.join(' and ')} may exist`)
+  }
+  return manifest.components.flatMap((c) => {
+    const [file] = files.get(c.id) ?? []
+    if (!file) return []
+    return [{ id: c.id, label: c.label, path: toPublicPath(...publicDir, file), metafield: componentMetafield(c) }]
+  })
+}
+
+async function loadProduct(brandId: string, productId: string): Promise<ContentProduct> {
+  const productDir = path.join(CONTENT_ROOT, EXTENDED_PRODUCT, brandId, productId)
+  const files = componentFileNames(await readDirIfExists(productDir))
+
+  try {
+    const manifest = await readManifest(productDir)
+    return {
+      id: productId,
+      brand: brandId,
+      brandName: manifest.brand,
+      displayName: manifest.displayName,
+      description: manifest.description,
+      status: manifest.status,
+      components: resolveComponents(manifest, files, [EXTENDED_PRODUCT, brandId, productId]),
+      manifestError: null,
+    }
+  } catch (err) {
+    if (!(err instanceof ManifestError)) throw err
+    return {
+      id: productId,
+      brand: brandId,
+      brandName: titleCase(brandId),
+      displayName: `${titleCase(brandId)} - ${titleCase(productId)}`,
+      description: '',
+      status: 'draft',
+      components: [],
+      manifestError: `${brandId}/${productId}/${MANIFEST_FILE}: ${err.message}`,
+    }
+  }
+}
+
+async function loadBrands(): Promise<ContentBrand[]> {
+  const entries = await readDirIfExists(path.join(CONTENT_ROOT, EXTENDED_PRODUCT))
+  return Promise.all(
+    subdirectoryIds(entries).map(async (brandId) => {
+      const productEntries = await readDirIfExists(path.join(CONTENT_ROOT, EXTENDED_PRODUCT, brandId))
+      const products = await Promise.all(
+        subdirectoryIds(productEntries).map((productId) => loadProduct(brandId, productId))
+      )
+      const named = products.find((p) => !p.manifestError)
+      return { id: brandId, name: named ? named.brandName : titleCase(brandId), products }
+    })
+  )
+}
+
+async function loadTemplates(): Promise<ContentTemplate[]> {
+  const contentTypes = subdirectoryIds(await fs.readdir(CONTENT_ROOT, { withFileTypes: true }))
+  const perType = await Promise.all(
+    contentTypes.map(async (contentType) => {
+      const entries = await readDirIfExists(path.join(CONTENT_ROOT, contentType, TEMPLATES_DIR))
+      return htmlFileIds(entries).map((id) => ({
+        id,
+        contentType,
+        label: titleCase(id),
+        path: toPublicPath(contentType, TEMPLATES_DIR, `${id}.html`),
+      }))
+    })
+  )
+  return perType.flat()
+}
+
+/**
+ * Scans content-types/ on every call so new folders appear without a rebuild.
+ */
+export async function loadContentRegistry(): Promise<ContentRegistry> {
+  const [announcements, brands, templates] = await Promise.all([
+    loadAnnouncementPages(),
+    loadBrands(),
+    loadTemplates(),
+  ])
+  return { announcements, brands, templates }
+}
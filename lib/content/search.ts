@@ -0,0 +1,115 @@
+// Full-text search over the sidebar index; runs in the browser as the query is typed
+
+import type { SearchDocument } from './types'
+
+export interface HighlightSegment {
+  text: string
+  highlight: boolean
+}
+
+export interface SearchHit {
+  document: SearchDocument
+  title: HighlightSegment[]
+  snippet: HighlightSegment[]
+}
+
+// Characters of text kept before and after the first match in a snippet
+const SNIPPET_BEFORE = 40
+const SNIPPET_AFTER = 100
+
+interface FoldedText {
+  folded: string
+  // origin[i] is the offset in the original text of folded[i]; one extra entry marks the end
+  origin: number[]
+}
+
+/** Lowercases and strips accents so "skeld" finds "SKëLD", keeping a map back to the original. */
+function fold(text: string): FoldedText {
+  let folded = ''
+  const origin: number[] = []
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i].normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    folded += char
+    for (let k = 0; k < char.length; k++) origin.push(i)
+  }
+  origin.push(text.length)
+  return { folded, origin }
+}
+
+function searchTerms(query: string): string[] {
+  return fold(query).folded.split(/\s+/).filter(Boolean)
+}
+
+// Merged [start, end) ranges of every term in the original text
+function termRanges(text: string, terms: string[]): Array<[number, number]> {
+  const { folded, origin } = fold(text)
+  const ranges: Array<[number, number]> = []
+  for (const term of terms) {
+    for (let at = folded.indexOf(term); at !== -1; at = folded.indexOf(term, at + term.length)) {
+      ranges.push([origin[at], origin[at + term.length]])
+    }
+  }
+  ranges.sort((a, b) => a[0] - b[0])
+  return ranges.reduce<Array<[number, number]>>((merged, range) => {
+    const last = merged[merged.length - 1]
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1])
+    else merged.push(range)
+    return merged
+  }, [])
+}
+
+function segments(text: string, ranges: Array<[number, number]>, start = 0, end = text.length): HighlightSegment[] {
+  const result: HighlightSegment[] = []
+  let at = start
+  for (const [from, to] of ranges) {
+    if (to <= start || from >= end) continue
+    if (from > at) result.push({ text: text.slice(at, from), highlight: false })
+    result.push({ text: text.slice(Math.max(from, at), Math.min(to, end)), highlight: true })
+    at = Math.min(to, end)
+  }
+  if (at < end) result.push({ text: text.slice(at, end), highlight: false })
+  return result
+}
+
+// A window of the text around its first match, cut at word boundaries
+function excerpt(text: string, ranges: Array<[number, number]>): HighlightSegment[] {
+  const first = ranges[0]?.[0] ?? 0
+  let start = Math.max(0, first - SNIPPET_BEFORE)
+  let end = Math.min(text.length, first + SNIPPET_AFTER)
+  if (start > 0) start = text.indexOf(' ', start) + 1 || start
+  const lastSpace = text.lastIndexOf(' ', end)
+  if (end < text.length && lastSpace > first) end = lastSpace
+
+  const result = segments(text, ranges, start, end)
+  if (start > 0) result.unshift({ text: '…', highlight: false })
+  if (end < text.length) result.push({ text: '…', highlight: false })
+  return result
+}
+
+/**
+ * Finds the documents containing every term of the query, in their title, context or text.
+ * Title matches rank first, then documents with more matches.
+ */
+export function searchDocuments(documents: SearchDocument[], query: string, limit = 30): SearchHit[] {
+  const terms = searchTerms(query)
+  if (terms.length === 0) return []
+
+  const hits: Array<SearchHit & { score: number }> = []
+  for (const document of documents) {
+    const haystack = fold(`${document.title}\n${document.context}\n${document.text}`).folded
+    if (!terms.every((term) => haystack.includes(term))) continue
+
+    const titleRanges = termRanges(document.title, terms)
+    const textRanges = termRanges(document.text, terms)
+    hits.push({
+      document,
+      title: segments(document.title, titleRanges),
+      snippet: excerpt(document.text, textRanges),
+      score: titleRanges.length * 10 + termRanges(document.context, terms).length * 3 + textRanges.length,
+    })
+  }
+  return hits
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ document, title, snippet }) => ({ document, title, snippet }))
+}
@@ -0,0 +1,44 @@
+import { AnnouncementMarkupError, parseAnnouncementSections } from './announcements'
+import { componentHtml } from './markdown'
+import { allProducts, announcementHref, productHref } from './navigation'
+import { loadContentRegistry } from './registry'
+import { readContentFile } from './store'
+import { htmlToText } from './text'
+import type { ContentPage, SearchDocument } from './types'
+
+async function announcementDocuments(page: ContentPage): Promise<SearchDocument[]> {
+  const { content } = await readContentFile(page.path)
+  try {
+    return parseAnnouncementSections(content).map((section) => ({
+      href: `${announcementHref(page)}#${section.id}`,
+      title: section.title,
+      context: page.title,
+      text: htmlToText(section.markup),
+    }))
+  } catch (err) {
+    if (!(err instanceof AnnouncementMarkupError)) throw err
+    // A page without the usual section markup is still searchable as a whole
+    return [{ href: announcementHref(page), title: page.title, context: page.title, text: htmlToText(content) }]
+  }
+}
+
+/**
+ * The text of every product component and announcement section, read fresh from disk so the
+ * sidebar search sees saves made since the page loaded.
+ */
+export async function loadSearchIndex(): Promise<SearchDocument[]> {
+  const registry = await loadContentRegistry()
+  const components = allProducts(registry).flatMap((product) =>
+    product.components.map(async (component) => ({
+      href: productHref(product, component.id),
+      title: component.label,
+      context: product.displayName,
+      text: htmlToText(componentHtml(component.path, (await readContentFile(component.path)).content)),
+    }))
+  )
+  const [announcements, products] = await Promise.all([
+    Promise.all(registry.announcements.map(announcementDocuments)),
+    Promise.all(components),
+  ])
+  return [...announcements.flat(), ...products]
+}
@@ -0,0 +1,106 @@
+import type { ContentComponent, ContentProduct } from './types'
+
+// A product's components as Shopify theme files: one section per component, and one JSON
+// file with a product metafield per component. The theme developer wires these in instead
+// of the components being pasted into product descriptions. The files are read and zipped
+// on the server, in shopifyExport.ts.
+
+export interface ShopifyExportFile {
+  // Relative to the theme root, e.g. sections/… or metafields/…
+  path: string
+  content: string
+}
+
+// A component with its HTML, Markdown components already compiled
+export interface ExportedComponent {
+  component: ContentComponent
+  html: string
+}
+
+// Metafield type whose value a theme outputs as-is with {{ product.metafields.<namespace>.<key> }}
+export const METAFIELD_TYPE = 'multi_line_text_field'
+
+// Shopify rejects section schemas whose name is longer
+const SECTION_NAME_LIMIT = 25
+
+type ProductRef = Pick<ContentProduct, 'brand' | 'id'>
+
+export function sectionFileName(product: ProductRef, componentId: string): string {
+  return `sections/${product.brand}-${product.id}-${componentId}.liquid`
+}
+
+export function metafieldsFileName(product: ProductRef): string {
+  return `metafields/${product.brand}-${product.id}.json`
+}
+
+/** Splits a component's "namespace.key" metafield at its first dot. */
+export function splitMetafield(metafield: string): { namespace: string; key: string } {
+  const dot = metafield.indexOf('.')
+  return { namespace: metafield.slice(0, dot), key: metafield.slice(dot + 1) }
+}
+
+function truncate(text: string, limit: number): string {
+  return text.length <= limit ? text : `${text.slice(0, limit - 1).trimEnd()}…`
+}
+
+// Liquid would run anything in the content that looks like a tag or an output
+function liquidLiteral(html: string): string {
+  return /\{\{|\{%/.test(html) ? `{% raw %}${html}{% endraw %}` : html
+}
+
+/** A theme section rendering the component as it is now, for the product's own template. */
+export function liquidSection(product: ContentProduct, { component, html }: ExportedComponent): string {
+  const name = truncate(component.label, SECTION_NAME_LIMIT)
+  const schema = {
+    name,
+    tag: 'section',
+    class: `html-canvas-${component.id}`,
+    enabled_on: { templates: ['product'] },
+    settings: [],
+    presets: [{ name }],
+  }
+  return [
+    '{% comment %}',
+    `  ${product.displayName}: ${component.label}`,
+    `  Exported from HTML Canvas, ${component.path}; edit it there and export again.`,
+    `  The product's ${component.metafield} metafield holds the same HTML.`,
+    '{% endcomment %}',
+    liquidLiteral(html.trim()),
+    '',
+    '{% schema %}',
+    JSON.stringify(schema, null, 2),
+    '{% endschema %}',
+    '',
+  ].join('\n')
+}
+
+/**
+ * The product's metafields, one per component. `metafields` is the input of the Admin API's
+ * metafieldsSet once each entry is given the product's `ownerId`.
+ */
+export function metafieldsJson(product: ContentProduct, components: ExportedComponent[]): string {
+  const payload = {
+    product: {
+      brand: product.brandName,
+      title: product.displayName,
+      source: `${product.brand}/${product.id}`,
+      status: product.status,
+    },
+    metafields: components.map(({ component, html }) => ({
+      ...splitMetafield(component.metafield),
+      type: METAFIELD_TYPE,
+      value: html.trim(),
+    })),
+  }
+  return `${JSON.stringify(payload, null, 2)}\n`
+}
+
+export function shopifyExportFiles(product: ContentProduct, components: ExportedComponent[]): ShopifyExportFile[] {
+  return [
+    ...components.map((exported) => ({
+      path: sectionFileName(product, exported.component.id),
+      content: liquidSection(product, exported),
+    })),
+    { path: metafieldsFileName(product), content: metafieldsJson(product, components) },
+  ]
+}
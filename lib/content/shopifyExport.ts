@@ -0,0 +1,46 @@
+import { strToU8, zipSync } from 'fflate'
+import { EXTENDED_PRODUCT } from './contentTypes'
+import { ManifestError } from './manifest'
+import { componentHtml } from './markdown'
+import { allProducts } from './navigation'
+import { toPublicPath } from './paths'
+import { loadContentRegistry } from './registry'
+import { shopifyExportFiles, type ShopifyExportFile } from './shopify'
+import { ContentNotFoundError, readContentFile } from './store'
+import type { ContentProduct } from './types'
+
+export interface ShopifyArchive {
+  fileName: string
+  data: Uint8Array
+}
+
+async function productFiles(product: ContentProduct): Promise<ShopifyExportFile[]> {
+  const components = await Promise.all(
+    product.components.map(async (component) => {
+      const file = await readContentFile(component.path)
+      return { component, html: componentHtml(component.path, file.content) }
+    })
+  )
+  return shopifyExportFiles(product, components)
+}
+
+function zip(files: ShopifyExportFile[]): Uint8Array {
+  return zipSync(Object.fromEntries(files.map((file) => [file.path, strToU8(file.content)])))
+}
+
+/** One product's sections and metafields as a zip; throws ManifestError when its manifest is invalid. */
+export async function productShopifyArchive(brand: string, productId: string): Promise<ShopifyArchive> {
+  const registry = await loadContentRegistry()
+  const product = allProducts(registry).find((p) => p.brand === brand && p.id === productId)
+  if (!product) throw new ContentNotFoundError(toPublicPath(EXTENDED_PRODUCT, brand, productId))
+  if (product.manifestError) throw new ManifestError(product.manifestError)
+  return { fileName: `${brand}-${productId}-shopify.zip`, data: zip(await productFiles(product)) }
+}
+
+/** Every product's sections and metafields in one zip, leaving out archived products and invalid manifests. */
+export async function shopifyBundleArchive(): Promise<ShopifyArchive> {
+  const registry = await loadContentRegistry()
+  const products = allProducts(registry).filter((p) => !p.manifestError && p.status !== 'archived')
+  const files = await Promise.all(products.map(productFiles))
+  return { fileName: 'html-canvas-shopify.zip', data: zip(files.flat()) }
+}
@@ -0,0 +1,83 @@
+import {
+  applyMatches,
+  findMatches,
+  type FileMatches,
+  type FindOptions,
+  type ReplaceResult,
+  type ReplaceSelection,
+} from './findReplace'
+import { allProducts, announcementHref, productHref, templateHref } from './navigation'
+import { loadContentRegistry } from './registry'
+import {
+  ContentConflictError,
+  ContentNotFoundError,
+  ContentPathError,
+  readContentFile,
+  writeContentFile,
+} from './store'
+import { titleCase } from './text'
+import type { SnippetRef } from './types'
+
+/** Every announcement page, product component and template, in sidebar order. */
+export async function listSnippets(): Promise<SnippetRef[]> {
+  const registry = await loadContentRegistry()
+  return [
+    ...registry.announcements.map((page) => ({ path: page.path, label: page.title, href: announcementHref(page) })),
+    ...allProducts(registry).flatMap((product) =>
+      product.components.map((component) => ({
+        path: component.path,
+        label: `${product.displayName} / ${component.label}`,
+        href: productHref(product, component.id),
+      }))
+    ),
+    ...registry.templates.map((template) => ({
+      path: template.path,
+      label: `${titleCase(template.contentType)} template / ${template.label}`,
+      href: templateHref(template),
+    })),
+  ]
+}
+
+/** Searches every snippet, returning only the files with at least one match. */
+export async function findInSnippets(options: FindOptions, replacement: string): Promise<FileMatches[]> {
+  const results: FileMatches[] = []
+  for (const snippet of await listSnippets()) {
+    const file = await readContentFile(snippet.path)
+    const matches = findMatches(file.content, options, replacement)
+    if (matches.length > 0) results.push({ ...snippet, version: file.version, matches })
+  }
+  return results
+}
+
+/**
+ * Replaces the selected matches file by file. Each file is checked against the version its
+ * matches were found in, so a file edited in the meantime is reported and left alone while
+ * the others are still saved.
+ */
+export async function replaceInSnippets(
+  options: FindOptions,
+  replacement: string,
+  selections: ReplaceSelection[]
+): Promise<ReplaceResult[]> {
+  const results: ReplaceResult[] = []
+  for (const { path, version, indexes } of selections) {
+    try {
+      const file = await readContentFile(path)
+      if (file.version !== version) {
+        throw new ContentConflictError(`${file.path} changed on disk after it was searched`)
+      }
+      const selected = findMatches(file.content, options, replacement).filter((m) => indexes.includes(m.index))
+      if (selected.length !== indexes.length) {
+        throw new ContentConflictError(`Some selected matches are no longer in ${file.path}`)
+      }
+      const saved = await writeContentFile(file.path, applyMatches(file.content, selected), { baseVersion: version })
+      results.push({ path: file.path, replaced: selected.length, file: saved, error: null })
+    } catch (err) {
+      const expected =
+        err instanceof ContentConflictError || err instanceof ContentNotFoundError || err instanceof ContentPathError
+      if (!expected) throw err
+      results.push({ path: String(path), replaced: 0, file: null, error: err.message })
+    }
+  }
+  return results
+}
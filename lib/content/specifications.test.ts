@@ -0,0 +1,39 @@
+import { describe, expect, it } from 'vitest'
+import { parseSpecifications, specificationsHtml, valueProblem } from './specifications'
+
+describe('specificationsHtml', () => {
+  it('writes the list inside a wrapper <div> and reads it back', () => {
+    const rows = [
+      { key: 'Name', value: 'SKëLD - Braaid' },
+      { key: 'Intensity', value: '<em>Strong</em> - A smoke and earth bite' },
+    ]
+    const html = specificationsHtml(rows)
+    expect(html.startsWith('<div>\n  <ul>\n')).toBe(true)
+    expect(html.endsWith('  </ul>\n</div>\n')).toBe(true)
+    expect(parseSpecifications(html)).toEqual(rows)
+  })
+
+  it('escapes keys and skips empty rows', () => {
+    const html = specificationsHtml([
+      { key: 'Tins & <Pouches>', value: 'Both' },
+      { key: ' ', value: '' },
+    ])
+    expect(html).toContain('<li><strong>Tins &amp; &lt;Pouches&gt;</strong>: Both</li>')
+    expect(html.match(/<li>/g)).toHaveLength(1)
+  })
+})
+
+describe('valueProblem', () => {
+  it('accepts text and inline HTML', () => {
+    expect(valueProblem('Medium - Quick onset')).toBeNull()
+    expect(valueProblem('<em>Strong</em>, <a href="/x"><strong>see</strong></a><br>more')).toBeNull()
+  })
+
+  it('rejects block tags, unbalanced tags and bare "<"', () => {
+    expect(valueProblem('<div>Strong</div>')).toBe('<div> is not inline HTML')
+    expect(valueProblem('</ul><script>x</script>')).toBe('<ul> is not inline HTML')
+    expect(valueProblem('<em>Strong')).toBe('<em> is never closed')
+    expect(valueProblem('<em><strong>x</em></strong>')).toBe('</em> does not close the last tag opened')
+    expect(valueProblem('Less than 5% < 10%')).toMatch(/&lt;/)
+  })
+})
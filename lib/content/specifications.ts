@@ -0,0 +1,235 @@
+import { escapeHtml, htmlToText } from './text'
+
+// Parses and writes the spec list of a product's specifications.html, wrapped in a <div>
+// like every other component:
+//
+//   <div>
+//     <ul>
+//       <li><strong>Name</strong>: SKëLD - Braaid</li>
+//       ...
+//     </ul>
+//   </div>
+
+export const SPECIFICATIONS_COMPONENT = 'specifications'
+
+// Keys every product is expected to have, in this order
+export const STANDARD_SPEC_KEYS = ['Name', 'Category', 'Grind', 'Moisture', 'Nicotine', 'Intensity'] as const
+
+export interface SpecRow {
+  key: string
+  // Inline HTML, e.g. "<em>Strong</em> - A smoke and earth bite"; see valueProblem
+  value: string
+}
+
+export class SpecificationsError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = 'SpecificationsError'
+  }
+}
+
+const COMMENT_PATTERN = /<!--(?:(?!-->)[^])*-->/g
+const LIST_PATTERN = /<ul\b[^>]*>([^]*?)<\/ul>/i
+const ITEM_PATTERN = /<li\b[^>]*>([^]*?)<\/li>/gi
+const ROW_PATTERN = /^\s*<strong\b[^>]*>([^]*?)<\/strong>\s*:?\s*([^]*?)\s*$/i
+// Wrappers around the list, replaced by a single <div> when the canonical markup is written
+const WRAPPER_PATTERN = /<\/?div\b[^>]*>/gi
+const TAG_PATTERN = /<(\/?)([a-z][a-z0-9]*)\b[^<>]*>/gi
+// Tags a value may use: the ones that keep a row a line of text
+const INLINE_TAGS = new Set([
+  'a', 'abbr', 'b', 'br', 'code', 'em', 'i', 'mark', 's', 'small', 'span', 'strong', 'sub', 'sup', 'u',
+])
+const VOID_TAGS = new Set(['br'])
+
+/**
+ * Reads the rows of a spec list. Fails when the file holds anything the rows cannot
+ * represent, since writing them back would silently drop it.
+ */
+export function parseSpecifications(html: string): SpecRow[] {
+  const source = html.replace(COMMENT_PATTERN, '')
+  const list = source.match(LIST_PATTERN)
+  if (!list || list.index === undefined) {
+    throw new SpecificationsError('No <ul> spec list found')
+  }
+
+  const outside = source.slice(0, list.index) + source.slice(list.index + list[0].length)
+  if (outside.replace(WRAPPER_PATTERN, '').trim()) {
+    throw new SpecificationsError('The file has content besides a single spec list')
+  }
+
+  const body = list[1]
+  const items = Array.from(body.matchAll(ITEM_PATTERN))
+  if (body.replace(ITEM_PATTERN, '').trim()) {
+    throw new SpecificationsError('The spec list has content outside its <li> rows')
+  }
+
+  return items.map((item) => {
+    const row = item[1].match(ROW_PATTERN)
+    if (!row) {
+      throw new SpecificationsError(`Row "${htmlToText(item[1])}" does not start with a <strong> key`)
+    }
+    return { key: htmlToText(row[1]), value: row[2].replace(/\s+/g, ' ') }
+  })
+}
+
+/** Why a value is not the inline HTML a row takes, or null when it is. */
+export function valueProblem(value: string): string | null {
+  const open: string[] = []
+  for (const [, closing, tagName] of value.matchAll(TAG_PATTERN)) {
+    const name = tagName.toLowerCase()
+    if (!INLINE_TAGS.has(name)) return `<${name}> is not inline HTML`
+    if (VOID_TAGS.has(name)) continue
+    if (!closing) open.push(name)
+    else if (open.pop() !== name) return `</${name}> does not close the last tag opened`
+  }
+  if (open.length > 0) return `<${open[open.length - 1]}> is never closed`
+  if (value.replace(TAG_PATTERN, '').includes('<')) return 'A "<" that is not part of a tag must be written as &lt;'
+  return null
+}
+
+/**
+ * Writes rows as the canonical spec list, skipping rows with neither a key nor a value.
+ * Keys are text; values are inserted as they are, so check them with valueProblem first.
+ */
+export function specificationsHtml(rows: SpecRow[]): string {
+  const items = rows
+    .filter((row) => row.key.trim() || row.value.trim())
+    .map((row) => `    <li><strong>${escapeHtml(row.key.trim())}</strong>: ${row.value.trim()}</li>`)
+  return ['<div>', '  <ul>', ...items, '  </ul>', '</div>', ''].join('\n')
+}
+
+export interface SpecColumn {
+  label: string
+  rows: SpecRow[]
+}
+
+export interface ComparisonRow {
+  // The standard spelling, or the first one seen
+  key: string
+  // One per column; null where the product lacks the key
+  values: Array<string | null>
+  missing: boolean
+  // Spelled differently across products, or listed twice by one of them
+  inconsistent: boolean
+  spellings: string[]
+  standard: boolean
+}
+
+function normalizeKey(key: string): string {
+  return key.trim().replace(/\s+/g, ' ').toLowerCase()
+}
+
+/**
+ * Lines up the spec lists of several products by key, case-insensitively: standard keys
+ * first in their usual order, then any others in the order they first appear.
+ */
+export function compareSpecifications(columns: SpecColumn[]): ComparisonRow[] {
+  const byKey = new Map<string, ComparisonRow>()
+  for (const key of STANDARD_SPEC_KEYS) {
+    byKey.set(normalizeKey(key), {
+      key,
+      values: columns.map(() => null),
+      missing: false,
+      inconsistent: false,
+      spellings: [],
+      standard: true,
+    })
+  }
+
+  columns.forEach((column, index) => {
+    for (const row of column.rows) {
+      const normalized = normalizeKey(row.key)
+      let entry = byKey.get(normalized)
+      if (!entry) {
+        entry = {
+          key: row.key.trim(),
+          values: columns.map(() => null),
+          missing: false,
+          inconsistent: false,
+          spellings: [],
+          standard: false,
+        }
+        byKey.set(normalized, entry)
+      }
+      if (entry.values[index] !== null) entry.inconsistent = true
+      else entry.values[index] = row.value
+      if (!entry.spellings.includes(row.key)) entry.spellings.push(row.key)
+    }
+  })
+
+  return Array.from(byKey.values()).map((entry) => ({
+    ...entry,
+    missing: entry.values.some((value) => value === null),
+    inconsistent: entry.inconsistent || entry.spellings.some((spelling) => spelling.trim() !== entry.key),
+  }))
+}
+
+// The page snippets' variables, with fallbacks for Shopify themes that do not define them
+const COMPARISON_STYLE = `<style>
+    .spec-comparison {
+        margin: 2rem 0;
+        overflow-x: auto;
+    }
+
+    .spec-comparison table {
+        width: 100%;
+        border-collapse: collapse;
+        font-size: 0.9375rem;
+    }
+
+    .spec-comparison th,
+    .spec-comparison td {
+        padding: 0.75rem 1rem;
+        border-bottom: 1px solid var(--border-color, #e5e5e5);
+        text-align: left;
+        vertical-align: top;
+    }
+
+    .spec-comparison thead th {
+        color: var(--text-primary, currentColor);
+        font-weight: 700;
+    }
+
+    .spec-comparison tbody th {
+        color: var(--text-muted, #6b7280);
+        font-size: 0.875rem;
+        font-weight: 600;
+        text-transform: uppercase;
+        letter-spacing: 0.05em;
+        white-space: nowrap;
+    }
+</style>`
+
+/**
+ * A Shopify-ready comparison table of the given columns, e.g. for a collection page. Keys
+ * none of those products have are left out.
+ */
+export function comparisonHtml(labels: string[], rows: ComparisonRow[], columns: number[]): string {
+  const header = columns.map((index) => `                <th scope="col">${escapeHtml(labels[index])}</th>`)
+  const present = rows.filter((row) => columns.some((index) => row.values[index] !== null))
+  const body = present.flatMap((row) => [
+    '            <tr>',
+    `                <th scope="row">${escapeHtml(row.key)}</th>`,
+    ...columns.map((index) => `                <td>${row.values[index] ?? '&mdash;'}</td>`),
+    '            </tr>',
+  ])
+  return [
+    '<!-- Specification Comparison -->',
+    COMPARISON_STYLE,
+    '',
+    '<div class="spec-comparison">',
+    '    <table>',
+    '        <thead>',
+    '            <tr>',
+    '                <td></td>',
+    ...header,
+    '            </tr>',
+    '        </thead>',
+    '        <tbody>',
+    ...body,
+    '        </tbody>',
+    '    </table>',
+    '</div>',
+    '',
+  ].join('\n')
+}
@@ -0,0 +1,144 @@
+import { createHash } from 'crypto'
+import { promises as fs } from 'fs'
+import path from 'path'
+import { recordSnapshot } from './history'
+import { CONTENT_ROOT, PUBLIC_CONTENT_ROOT, PUBLIC_PREFIX } from './paths'
+import type { ContentFile } from './types'
+
+// Extensions the editor may read and write; other callers pass their own
+const EDITABLE_EXTENSIONS = ['.html', '.md']
+
+export class ContentPathError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = 'ContentPathError'
+  }
+}
+
+export class ContentNotFoundError extends Error {
+  constructor(publicPath: string) {
+    super(`No content file at ${publicPath}`)
+    this.name = 'ContentNotFoundError'
+  }
+}
+
+export class ContentConflictError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = 'ContentConflictError'
+  }
+}
+
+export interface ResolvedContentPath {
+  publicPath: string
+  sourceFile: string
+  publicFile: string
+}
+
+function isInside(root: string, file: string): boolean {
+  const relative = path.relative(root, file)
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative)
+}
+
+/**
+ * Maps a served path such as /content-types/announcements/page.html onto the canonical
+ * file and its public/content-types mirror, rejecting anything that would land outside them.
+ */
+export function resolveContentPath(
+  publicPath: unknown,
+  extensions: readonly string[] = EDITABLE_EXTENSIONS
+): ResolvedContentPath {
+  if (typeof publicPath !== 'string' || !publicPath.startsWith(`${PUBLIC_PREFIX}/`)) {
+    throw new ContentPathError(`Path must start with ${PUBLIC_PREFIX}/`)
+  }
+
+  const segments = publicPath.slice(PUBLIC_PREFIX.length + 1).split('/')
+  const invalid = segments.find(
+    (segment) => !segment || segment.startsWith('.') || segment.includes('\\') || segment.includes('\0')
+  )
+  if (invalid !== undefined) {
+    throw new ContentPathError(`Invalid path segment "${invalid}" in ${publicPath}`)
+  }
+  if (!extensions.includes(path.extname(publicPath))) {
+    throw new ContentPathError(`Only ${extensions.join(', ')} files can be edited`)
+  }
+
+  const sourceFile = path.resolve(CONTENT_ROOT, ...segments)
+  const publicFile = path.resolve(PUBLIC_CONTENT_ROOT, ...segments)
+  if (!isInside(CONTENT_ROOT, sourceFile) || !isInside(PUBLIC_CONTENT_ROOT, publicFile)) {
+    throw new ContentPathError(`Path resolves outside ${PUBLIC_PREFIX}/: ${publicPath}`)
+  }
+
+  return { publicPath, sourceFile, publicFile }
+}
+
+export function contentVersion(content: string): string {
+  return createHash('sha256').update(content).digest('hex')
+}
+
+export async function readIfExists(file: string): Promise<string | null> {
+  try {
+    return await fs.readFile(file, 'utf8')
+  } catch (err) {
+    if ((err as NodeJS.ErrnoException).code === 'ENOENT') return null
+    throw err
+  }
+}
+
+export async function readContentFile(publicPath: unknown): Promise<ContentFile> {
+  const resolved = resolveContentPath(publicPath)
+  const content = await readIfExists(resolved.sourceFile)
+  if (content === null) throw new ContentNotFoundError(resolved.publicPath)
+  return { path: resolved.publicPath, content, version: contentVersion(content) }
+}
+
+/**
+ * Writes the canonical file, then its public/content-types mirror, and records the new
+ * version in the file's history.
+ */
+export async function writeMirrored(resolved: ResolvedContentPath, content: string): Promise<void> {
+  const previous = await readIfExists(resolved.sourceFile)
+  const replaced =
+    previous === null ? null : { content: previous, modifiedAt: (await fs.stat(resolved.sourceFile)).mtime }
+
+  for (const file of [resolved.sourceFile, resolved.publicFile]) {
+    await fs.mkdir(path.dirname(file), { recursive: true })
+    await fs.writeFile(file, content, 'utf8')
+  }
+  await recordSnapshot(resolved, replaced, content)
+}
+
+export interface WriteOptions {
+  // Version the editor started from; null when creating a new file
+  baseVersion: string | null
+  overwrite?: boolean
+}
+
+/**
+ * Writes the canonical file and mirrors it into public/content-types so the change is
+ * served immediately. Fails with ContentConflictError when the file changed on disk
+ * since `baseVersion` was read, unless `overwrite` is set.
+ */
+export async function writeContentFile(
+  publicPath: unknown,
+  content: string,
+  { baseVersion, overwrite = false }: WriteOptions
+): Promise<ContentFile> {
+  const resolved = resolveContentPath(publicPath)
+  const current = await readIfExists(resolved.sourceFile)
+
+  if (!overwrite) {
+    if (current === null && baseVersion !== null) {
+      throw new ContentConflictError(`${resolved.publicPath} was deleted after it was loaded`)
+    }
+    if (current !== null && baseVersion === null) {
+      throw new ContentConflictError(`${resolved.publicPath} already exists`)
+    }
+    if (current !== null && contentVersion(current) !== baseVersion) {
+      throw new ContentConflictError(`${resolved.publicPath} changed on disk after it was loaded`)
+    }
+  }
+
+  await writeMirrored(resolved, content)
+  return { path: resolved.publicPath, content, version: contentVersion(content) }
+}
@@ -0,0 +1,67 @@
+import postcss, { type Plugin } from 'postcss'
+import tailwindcss from 'tailwindcss'
+
+// Compiles the Tailwind utilities a snippet uses into plain CSS, so exported snippets no
+// longer depend on the https://cdn.tailwindcss.com script that Shopify strips. Tailwind is
+// bundled with the app, so this works offline. Preflight, Tailwind's reset, is left out: on a
+// store page it would restyle the whole theme. What utilities rely on from it is added back
+// where they are used, see `preflightDependencies`.
+
+const CLASS_ATTRIBUTE_PATTERN = /\sclass\s*=\s*(?:"([^"]*)"|'([^']*)')/gi
+
+/** The class names a snippet uses; only class attributes are read, so words in the copy never count. */
+export function usedClasses(html: string): string[] {
+  const classes = new Set<string>()
+  for (const match of html.matchAll(CLASS_ATTRIBUTE_PATTERN)) {
+    for (const name of (match[1] ?? match[2]).split(/\s+/)) {
+      if (name) classes.add(name)
+    }
+  }
+  return Array.from(classes)
+}
+
+const BORDER_WIDTH_PATTERN = /^border(?:-(?:top|right|bottom|left|inline|block)(?:-start|-end)?)?-width$/
+
+/**
+ * Keeps what utilities take from the reset: solid borders for the border width utilities,
+ * and only the `--tw-*` defaults that the generated utilities read.
+ */
+function preflightDependencies(): Plugin {
+  return {
+    postcssPlugin: 'html-canvas-preflight-dependencies',
+    OnceExit(root) {
+      root.walkDecls(BORDER_WIDTH_PATTERN, (decl) => {
+        const rule = decl.parent
+        if (!rule || rule.some((node) => node.type === 'decl' && node.prop === 'border-style')) return
+        decl.cloneAfter({ prop: 'border-style', value: 'solid' })
+      })
+
+      const read = new Set<string>()
+      root.walkDecls((decl) => {
+        for (const match of decl.value.matchAll(/var\(\s*(--tw-[\w-]+)/g)) read.add(match[1])
+      })
+      root.walkRules((rule) => {
+        // The defaults Tailwind sets on every element, and again on ::backdrop
+        if (!rule.selectors.every((selector) => /^(?:\*|::?(?:before|after|backdrop))$/.test(selector))) return
+        rule.walkDecls((decl) => {
+          if (!read.has(decl.prop)) decl.remove()
+        })
+        if (!rule.nodes?.length) rule.remove()
+      })
+    },
+  }
+}
+
+/** CSS for every Tailwind utility the snippet uses; empty when it uses none. */
+export async function compileTailwind(html: string): Promise<string> {
+  const classes = usedClasses(html)
+  if (classes.length === 0) return ''
+  const result = await postcss([
+    tailwindcss({
+      content: [{ raw: classes.join(' '), extension: 'html' }],
+      corePlugins: { preflight: false },
+    }),
+    preflightDependencies(),
+  ]).process('@tailwind base;\n@tailwind components;\n@tailwind utilities;', { from: undefined })
+  return result.css.trim()
+}
@@ -0,0 +1,116 @@
+import { formatAnnouncementDate, todayIsoDate } from './announcements'
+import { escapeHtml, slugify, titleCase } from './text'
+
+// Template placeholders: {{key}}, {{key:type}}, {{key|argument}} or {{key:type|argument}}.
+// The first occurrence that carries a type or argument declares the field; later plain
+// {{key}} occurrences reuse it. What the argument means depends on the type.
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-z][a-z0-9-]*)\s*(?::\s*([a-z]+)\s*)?(?:\|([^}]*))?\}\}/g
+
+const LEADING_COMMENTS_PATTERN = /^(?:\s*<!--(?:(?!-->)[^])*-->)+\s*/
+
+export type PlaceholderType = 'text' | 'html' | 'url' | 'date' | 'choice' | 'slug'
+
+const PLACEHOLDER_TYPES: readonly PlaceholderType[] = ['text', 'html', 'url', 'date', 'choice', 'slug']
+
+export interface Placeholder {
+  key: string
+  label: string
+  type: PlaceholderType
+  // text, html, url: initial value
+  defaultValue: string
+  // choice: allowed values, the first being the default
+  options: string[]
+  // slug: field the slug is derived from unless filled in explicitly
+  source: string | null
+}
+
+export type PlaceholderValues = Record<string, string>
+
+export class TemplateError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = 'TemplateError'
+  }
+}
+
+function declareField(key: string, type: PlaceholderType, argument: string): Placeholder {
+  return {
+    key,
+    label: titleCase(key),
+    type,
+    defaultValue: type === 'choice' || type === 'slug' ? '' : argument,
+    options:
+      type === 'choice'
+        ? argument
+            .split(',')
+            .map((option) => option.trim())
+            .filter(Boolean)
+        : [],
+    source: type === 'slug' && argument ? argument.trim() : null,
+  }
+}
+
+/** Lists the fields a template declares, in order of first appearance. */
+export function parsePlaceholders(template: string): Placeholder[] {
+  const fields = new Map<string, Placeholder>()
+  const declared = new Set<string>()
+
+  for (const [token, key, rawType, rawArgument] of template.matchAll(PLACEHOLDER_PATTERN)) {
+    const type = (rawType ?? 'text') as PlaceholderType
+    if (!PLACEHOLDER_TYPES.includes(type)) {
+      throw new TemplateError(`Unknown placeholder type in ${token}; use one of ${PLACEHOLDER_TYPES.join(', ')}`)
+    }
+    const isDeclaration = rawType !== undefined || rawArgument !== undefined
+    if (isDeclaration && declared.has(key)) {
+      throw new TemplateError(`Placeholder "${key}" is declared more than once; repeat it as {{${key}}}`)
+    }
+    if (isDeclaration || !fields.has(key)) {
+      fields.set(key, declareField(key, type, rawArgument?.trim() ?? ''))
+    }
+    if (isDeclaration) declared.add(key)
+  }
+
+  for (const field of fields.values()) {
+    if (field.type === 'choice' && field.options.length === 0) {
+      throw new TemplateError(`Choice placeholder "${field.key}" needs options, e.g. {{${field.key}:choice|a,b}}`)
+    }
+    if (field.source && !fields.has(field.source)) {
+      throw new TemplateError(`Slug placeholder "${field.key}" derives from unknown field "${field.source}"`)
+    }
+  }
+  return Array.from(fields.values())
+}
+
+export function placeholderDefaults(fields: Placeholder[]): PlaceholderValues {
+  return Object.fromEntries(
+    fields.map((field) => [field.key, field.type === 'date' ? todayIsoDate() : (field.options[0] ?? field.defaultValue)])
+  )
+}
+
+function resolveValue(field: Placeholder, values: PlaceholderValues): string {
+  const value = values[field.key] ?? ''
+  switch (field.type) {
+    case 'html':
+      return value
+    case 'date':
+      return value ? formatAnnouncementDate(value) : ''
+    case 'slug':
+      return slugify(value || (field.source ? values[field.source] ?? '' : ''))
+    default:
+      return escapeHtml(value)
+  }
+}
+
+/**
+ * Replaces every placeholder with its value, escaped unless the field is html. The
+ * comments a template opens with describe the template itself and are dropped.
+ */
+export function fillTemplate(template: string, fields: Placeholder[], values: PlaceholderValues): string {
+  const byKey = new Map(fields.map((field) => [field.key, field]))
+  return template
+    .replace(LEADING_COMMENTS_PATTERN, '')
+    .replace(PLACEHOLDER_PATTERN, (token, key: string) => {
+      const field = byKey.get(key)
+      return field ? resolveValue(field, values) : token
+    })
+}
@@ -0,0 +1,49 @@
+// String helpers shared by the server-side registry and the browser-side editors
+
+export function titleCase(slug: string): string {
+  return slug
+    .split('-')
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ')
+}
+
+export function escapeHtml(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+/** Matches the existing ids: "Backlog cleared: We’re back on track!" → backlog-cleared-were-back-on-track */
+export function slugify(text: string): string {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+}
+
+// Elements whose boundaries separate words when markup is flattened to text
+const BLOCK_TAG_PATTERN =
+  /<\/?(?:p|div|section|article|header|footer|main|h[1-6]|ul|ol|li|br|hr|table|tr|td|th|blockquote|figure)\b[^>]*>/gi
+
+const NAMED_ENTITIES: Record<string, string> = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' }
+
+/** The visible text of some markup, with entities decoded and whitespace collapsed. */
+export function htmlToText(html: string): string {
+  return html
+    .replace(/<!--(?:(?!-->)[^])*(?:-->|$)/g, '')
+    .replace(/<(script|style)\b[^>]*>(?:(?!<\/\1\s*>)[^])*(?:<\/\1\s*>|$)/gi, ' ')
+    .replace(BLOCK_TAG_PATTERN, ' ')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name: string) => {
+      if (name[0] !== '#') return NAMED_ENTITIES[name.toLowerCase()] ?? entity
+      const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : Number(name.slice(1))
+      return code <= 0x10ffff ? String.fromCodePoint(code) : entity
+    })
+    .replace(/\s+/g, ' ')
+    .trim()
+}
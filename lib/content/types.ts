@@ -0,0 +1,103 @@
+export interface ContentComponent {
+  id: string
+  label: string
+  path: string
+  // "namespace.key" of the product metafield the Shopify export writes it to
+  metafield: string
+}
+
+export type ProductStatus = 'active' | 'draft' | 'sandbox' | 'archived'
+
+export interface ContentProduct {
+  id: string
+  brand: string
+  brandName: string
+  displayName: string
+  description: string
+  status: ProductStatus
+  components: ContentComponent[]
+  // Set when product.json is missing or invalid; the product is listed but has no components
+  manifestError: string | null
+}
+
+export interface ContentBrand {
+  id: string
+  name: string
+  products: ContentProduct[]
+}
+
+export interface ContentPage {
+  id: string
+  contentType: string
+  label: string
+  title: string
+  description: string
+  path: string
+}
+
+export interface ContentTemplate {
+  id: string
+  contentType: string
+  label: string
+  path: string
+}
+
+export interface ContentRegistry {
+  announcements: ContentPage[]
+  brands: ContentBrand[]
+  templates: ContentTemplate[]
+}
+
+export interface ContentFile {
+  path: string
+  content: string
+  // sha256 of `content`; sent back on save to detect edits made on disk in the meantime
+  version: string
+}
+
+export interface HistoryEntry {
+  // Snapshot timestamp, e.g. 2025-10-31T14-05-09-123Z
+  id: string
+  savedAt: string
+  size: number
+  // Whether this is the newest snapshot matching the file as it is now
+  current: boolean
+}
+
+export interface HistorySnapshot {
+  id: string
+  savedAt: string
+  content: string
+}
+
+export interface CopyRecord {
+  path: string
+  copiedAt: string
+  // sha256 of `content`, the exact text that went to the clipboard
+  hash: string
+  content: string
+  // Version of the file it was copied from
+  sourceVersion: string
+}
+
+export interface CopyStatus extends CopyRecord {
+  // Whether the file has been saved since it was copied
+  changed: boolean
+}
+
+// Any file the admin edits, labelled and linked for cross-snippet tools such as find-and-replace
+export interface SnippetRef {
+  path: string
+  label: string
+  href: string
+}
+
+// One searchable unit for the sidebar search: a product component or an announcement section
+export interface SearchDocument {
+  href: string
+  // Component label or section heading
+  title: string
+  // Product or page it belongs to
+  context: string
+  text: string
+}
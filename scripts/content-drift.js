@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+const path = require('path');
+const { repoRoot, sourceRoot, publicRoot, listFiles, filesEqual } = require('./lib/content-tree');
+
+function printUsage() {
+  console.log(`
+🔍 Content Drift Check — scripts/content-drift.js
+
+Compares the canonical content-types/ tree with the generated public/content-types/ tree
+and reports every file that differs or exists on only one side.
+
+USAGE
+  node scripts/content-drift.js
+
+EXIT CODES
+  0  Trees are identical
+  1  Drift found (run "npm run content:sync" after moving any edits into content-types/)
+`);
+}
+
+function findDrift() {
+  const sourceFiles = listFiles(sourceRoot);
+  const publicFiles = listFiles(publicRoot);
+  const publicSet = new Set(publicFiles);
+  const sourceSet = new Set(sourceFiles);
+
+  return {
+    differs: sourceFiles.filter(
+      (rel) => publicSet.has(rel) && !filesEqual(path.join(sourceRoot, rel), path.join(publicRoot, rel))
+    ),
+    missingFromPublic: sourceFiles.filter((rel) => !publicSet.has(rel)),
+    onlyInPublic: publicFiles.filter((rel) => !sourceSet.has(rel)),
+  };
+}
+
+function main() {
+  if (process.argv.includes('--help') || process.argv.includes('-h')) {
+    printUsage();
+    return;
+  }
+
+  const drift = findDrift();
+  const source = path.relative(repoRoot, sourceRoot);
+  const target = path.relative(repoRoot, publicRoot);
+  const sections = [
+    [`Differs between ${source}/ and ${target}/`, drift.differs],
+    [`Missing from ${target}/`, drift.missingFromPublic],
+    [`Only in ${target}/ (edited in the wrong copy?)`, drift.onlyInPublic],
+  ];
+
+  const total = sections.reduce((sum, [, files]) => sum + files.length, 0);
+  if (total === 0) {
+    console.log(`✅ No drift: ${target}/ matches ${source}/`);
+    return;
+  }
+
+  for (const [title, files] of sections) {
+    if (files.length === 0) continue;
+    console.log(`\n${title}:`);
+    for (const rel of files) console.log(`  • ${rel}`);
+  }
+  console.log(`\n❌ ${total} file(s) drifted. Edit ${source}/, then run "npm run content:sync".`);
+  process.exit(1);
+}
+
+main();
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { repoRoot, sourceRoot, publicRoot, isIgnored, listFiles, filesEqual } = require('./lib/content-tree');
+
+function printUsage() {
+  console.log(`
+🔁 Content Sync — scripts/content-sync.js
+
+Generates public/content-types/ (what the app serves) from the canonical content-types/ tree.
+
+USAGE
+  node scripts/content-sync.js [--watch]
+
+OPTIONS
+  --watch   Keep running and re-sync whenever content-types/ changes
+  --help    Show this message
+
+NOTES
+  • public/content-types/ is generated and git-ignored; edit content-types/ instead
+  • Files that no longer exist in content-types/ are removed from public/content-types/
+`);
+}
+
+function removeEmptyDirs(dir) {
+  if (!fs.existsSync(dir)) return;
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.isDirectory()) removeEmptyDirs(path.join(dir, entry.name));
+  }
+  if (dir !== publicRoot && fs.readdirSync(dir).length === 0) fs.rmdirSync(dir);
+}
+
+function sync() {
+  if (!fs.existsSync(sourceRoot)) {
+    throw new Error(`Canonical content directory not found: ${sourceRoot}`);
+  }
+
+  const sourceFiles = listFiles(sourceRoot);
+  const sourceSet = new Set(sourceFiles);
+  const stats = { copied: 0, unchanged: 0, removed: 0 };
+
+  for (const rel of sourceFiles) {
+    const from = path.join(sourceRoot, rel);
+    const to = path.join(publicRoot, rel);
+    if (fs.existsSync(to) && filesEqual(from, to)) {
+      stats.unchanged++;
+      continue;
+    }
+    fs.mkdirSync(path.dirname(to), { recursive: true });
+    fs.copyFileSync(from, to);
+    stats.copied++;
+  }
+
+  for (const rel of listFiles(publicRoot)) {
+    if (sourceSet.has(rel)) continue;
+    fs.unlinkSync(path.join(publicRoot, rel));
+    stats.removed++;
+  }
+  removeEmptyDirs(publicRoot);
+
+  return stats;
+}
+
+function runSync() {
+  const stats = sync();
+  const target = path.relative(repoRoot, publicRoot);
+  console.log(`✅ ${target}: ${stats.copied} copied, ${stats.removed} removed, ${stats.unchanged} unchanged`);
+}
+
+function watch() {
+  let timer = null;
+  fs.watch(sourceRoot, { recursive: true }, (_event, filename) => {
+    if (filename && filename.split(/[\\/]/).some(isIgnored)) return;
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      try {
+        runSync();
+      } catch (err) {
+        console.error(`❌ Sync failed: ${err.message}`);
+      }
+    }, 100);
+  });
+  console.log(`👀 Watching ${path.relative(repoRoot, sourceRoot)}/ for changes...`);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  if (args.includes('--help') || args.includes('-h')) {
+    printUsage();
+    return;
+  }
+
+  try {
+    runSync();
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+
+  if (args.includes('--watch')) watch();
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { sync };
@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+
+const repoRoot = path.resolve(__dirname, '..', '..');
+const sourceRoot = path.join(repoRoot, 'content-types');
+const publicRoot = path.join(repoRoot, 'public', 'content-types');
+
+// Dot-files and dot-directories (editor or OS metadata) are never served
+function isIgnored(name) {
+  return name.startsWith('.');
+}
+
+/**
+ * Lists every file under `root` as a sorted array of forward-slash relative paths.
+ * A missing root yields an empty list so drift checks can report it file by file.
+ */
+function listFiles(root) {
+  const files = [];
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (isIgnored(entry.name)) continue;
+      const abs = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(abs);
+      } else if (entry.isFile()) {
+        files.push(path.relative(root, abs).split(path.sep).join('/'));
+      }
+    }
+  };
+  if (fs.existsSync(root)) walk(root);
+  return files.sort();
+}
+
+function filesEqual(a, b) {
+  return fs.readFileSync(a).equals(fs.readFileSync(b));
+}
+
+module.exports = { repoRoot, sourceRoot, publicRoot, isIgnored, listFiles, filesEqual };